@@ -0,0 +1,184 @@
+// Imports
+import { parseArgs } from 'node:util';
+
+/**
+ * Namespace for all elements related to the command-line interface
+ * @namespace cli
+ */
+
+/**
+ * Commands accepted on the command line, mapped to the corresponding OPERATION in the configuration
+ * @type {Object}
+ * @memberof cli
+ */
+export const COMMANDS = {
+  index: 'index',
+  update: 'update',
+  search: 'file_search',
+  query: 'index_search',
+  status: 'status',
+  rollback: 'rollback',
+  reconcile: 'reconcile',
+  export: 'export',
+  import: 'import',
+  watch: 'watch',
+  serve: 'serve',
+};
+
+/**
+ * Usage information printed with --help or when the arguments are invalid
+ * @type {string}
+ * @memberof cli
+ */
+export const USAGE = `Usage: node index.js [command] [options]
+
+Without a command, the operation and data source are selected interactively.
+
+Commands:
+  index                 Create the index file of a data source
+  update                Update the index file and the metadata of all files in Empolis
+  search <filename>     Look up a specific file in the data source (exact match)
+  query [text]          Full-text search in the Empolis index, with paging and the metadata of the results (all
+                        data sources if --source is missing, prompted if text and filters are missing)
+  status                Check the status of the Empolis API services
+  export                Export the records of the data source in Empolis to CSV or JSON
+  import <file>         Merge the reviewed metadata of a CSV or XLSX file into Empolis
+  reconcile             Compare the local files with the records of the data source in Empolis
+  rollback <runId>      Restore the metadata saved before the update run <runId> (prompted if missing)
+  watch                 Watch the data source directories and update the metadata of changed files (all data
+                        sources if --source is missing, stop with Ctrl+C)
+  serve                 Start the HTTP service for status, file lookup and update jobs (stop with Ctrl+C)
+
+Options:
+  -s, --source <name>   Data source to use (prompted if missing)
+  -y, --yes             Do not ask for confirmation
+  -n, --dry-run         Compare the metadata and write a report without modifying Empolis (update, import)
+  -r, --resume          Continue the last update run, skipping the files it already handled (update only)
+  --retry-failed        Rerun only the files that failed in the last update run (update only)
+  --files <paths>       Comma-separated files to restore, relative to the data source directory (rollback only)
+  --format <csv|json>   Format of the export file (export only, default: csv)
+  --attributes <names>  Comma-separated attributes to export (export only, default: EXPORT_ATTRIBUTES)
+  -o, --output <path>   Path of the export file (export only)
+  --filter <attr=value> Filter the results by Category, product, doctype, Language or visibility, repeat for
+                        several filters (query only)
+  --facets              Show the number of results per filter value (query only)
+  -c, --config <path>   Path of the configuration file (default: ./config.yaml)
+  -h, --help            Show this help`;
+
+/**
+ * Parse the command-line arguments.
+ * @function parseCliArguments
+ * @memberof cli
+ * @param {Array<string>} argv - command-line arguments without the node executable and script path
+ * @returns {Object} command (null in interactive mode), operation, searchTerm, searchText, filters, facets, runId,
+ * importFile, files, format, attributes, output, source, yes, dryRun, resumeMode, configPath and help flag
+ * @throws {Error} if the command is unknown, an option is invalid, or an argument is missing
+ */
+export function parseCliArguments(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      source: { type: 'string', short: 's' },
+      yes: { type: 'boolean', short: 'y', default: false },
+      'dry-run': { type: 'boolean', short: 'n', default: false },
+      resume: { type: 'boolean', short: 'r', default: false },
+      'retry-failed': { type: 'boolean', default: false },
+      files: { type: 'string', multiple: true },
+      format: { type: 'string' },
+      attributes: { type: 'string', multiple: true },
+      output: { type: 'string', short: 'o' },
+      filter: { type: 'string', multiple: true },
+      facets: { type: 'boolean', default: false },
+      config: { type: 'string', short: 'c' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  const [command = null, ...commandArguments] = positionals;
+  if (command && !(command in COMMANDS)) {
+    throw new Error(`Unknown command '${command}'`);
+  }
+  if (command === 'search' && commandArguments.length === 0) {
+    throw new Error(`The 'search' command requires a filename`);
+  }
+  if (command === 'import' && commandArguments.length !== 1) {
+    throw new Error(
+      commandArguments.length === 0
+        ? `The 'import' command requires a CSV or XLSX file`
+        : `Unexpected argument '${commandArguments[1]}'`
+    );
+  }
+  if (command === 'rollback' && commandArguments.length > 1) {
+    throw new Error(`Unexpected argument '${commandArguments[1]}'`);
+  }
+  if (!['search', 'query', 'rollback', 'import'].includes(command) && commandArguments.length > 0) {
+    throw new Error(`Unexpected argument '${commandArguments[0]}'`);
+  }
+  if (values['dry-run'] && command && !['update', 'import'].includes(command)) {
+    throw new Error(`The --dry-run option is only supported by the 'update' and 'import' commands`);
+  }
+  for (const option of ['resume', 'retry-failed']) {
+    if (values[option] && command && command !== 'update') {
+      throw new Error(`The --${option} option is only supported by the 'update' command`);
+    }
+  }
+  if (values.files && command !== 'rollback') {
+    throw new Error(`The --files option is only supported by the 'rollback' command`);
+  }
+  for (const option of ['format', 'attributes', 'output']) {
+    if (values[option] && command !== 'export') {
+      throw new Error(`The --${option} option is only supported by the 'export' command`);
+    }
+  }
+  for (const option of ['filter', 'facets']) {
+    if (values[option] && command !== 'query') {
+      throw new Error(`The --${option} option is only supported by the 'query' command`);
+    }
+  }
+  if (values.format && !['csv', 'json'].includes(values.format.toLowerCase())) {
+    throw new Error(`Unsupported export format '${values.format}', use 'csv' or 'json'`);
+  }
+  if (values.resume && values['retry-failed']) {
+    throw new Error('The --resume and --retry-failed options cannot be combined');
+  }
+  if (values['dry-run'] && (values.resume || values['retry-failed'])) {
+    throw new Error('A dry run cannot be resumed, the journal is only written by real runs');
+  }
+
+  return {
+    command,
+    operation: command ? COMMANDS[command] : null,
+    searchTerm: command === 'search' ? commandArguments.join(' ') : null,
+    searchText: command === 'query' ? commandArguments.join(' ') : null,
+    filters: values.filter ?? [],
+    facets: values.facets,
+    runId: command === 'rollback' ? (commandArguments[0] ?? null) : null,
+    importFile: command === 'import' ? commandArguments[0] : null,
+    files: splitList(values.files),
+    format: values.format?.toLowerCase() ?? null,
+    attributes: splitList(values.attributes),
+    output: values.output ?? null,
+    source: values.source ?? null,
+    yes: values.yes,
+    dryRun: values['dry-run'],
+    resumeMode: values.resume ? 'resume' : values['retry-failed'] ? 'retry_failed' : null,
+    configPath: values.config ?? null,
+    help: values.help,
+  };
+}
+
+/**
+ * Split the values of a repeatable, comma-separated option into a list
+ * @function splitList
+ * @memberof cli
+ * @private
+ * @param {Array<string>} [values] - option values (e.g. ['a.htm,b.htm', 'c.htm'])
+ * @returns {Array<string>} trimmed, non-empty list items
+ */
+function splitList(values = []) {
+  return values
+    .flatMap((value) => value.split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
@@ -4,6 +4,7 @@ import path from 'node:path';
 import { fileURLToPath } from 'url';
 import yaml from 'js-yaml';
 import util from 'util';
+import { AsyncLocalStorage } from 'node:async_hooks';
 import { select } from '@inquirer/prompts';
 import { checkApiStatus } from './empolis_admin.js';
 import logger from './logger.js';
@@ -14,6 +15,9 @@ const __dirname = path.dirname(__filename);
 
 // Internal state
 let config = null;
+// Configuration of the operations started with runWithConfig() (e.g. the batches of the watch mode and the jobs of
+// the HTTP service)
+const configContext = new AsyncLocalStorage();
 
 export function setConfig(newConfig) {
   config = newConfig;
@@ -26,6 +30,8 @@ export function setConfig(newConfig) {
 }
 
 export function getConfig() {
+  const contextConfig = configContext.getStore();
+  if (contextConfig) return contextConfig;
   if (!config) {
     throw new Error('Configuration not initialized');
   }
@@ -34,76 +40,244 @@ export function getConfig() {
 
 /**
  * Load configuration from YAML file
+ * <br>The operation and the data source can be passed as arguments (e.g. from the command line). The user is only
+ * prompted for the values that are missing.
  * @async
  * @function loadConfig
  * @param {Object} options - Configuration options
- * @param {boolean} [options.promptUser=false] - Prompt user for configuration data
+ * @param {boolean} [options.promptUser=false] - Prompt user for missing configuration data
  * @param {boolean} [options.testApi=false] - Test the API status
+ * @param {string} [options.configPath] - Path of the configuration file (default: config.yaml in project root)
+ * @param {string} [options.operation] - Operation to perform (index, update, file_search, status, rollback,
+ * reconcile, export, import, watch, index_search, serve)
+ * @param {string} [options.source] - Data source selection (NAME of an entry in DATA_SOURCES)
+ * @param {boolean} [options.assumeYes=false] - Skip confirmation prompts
+ * @param {boolean} [options.dryRun=false] - Compare metadata and write a report instead of modifying Empolis
+ * @param {string} [options.resumeMode] - Continue the last update run ('resume') or rerun its failed files ('retry_failed')
  * @returns {Promise<Object>} Parsed configuration object
  */
-export async function loadConfig({ promptUser = false, testApi = false } = {}) {
+export async function loadConfig({
+  promptUser = false,
+  testApi = false,
+  configPath = null,
+  operation = null,
+  source = null,
+  assumeYes = false,
+  dryRun = false,
+  resumeMode = null,
+} = {}) {
   try {
     // Build the absolute path to the config.yaml file
-    const configPath = path.join(__dirname, 'config.yaml');
+    const resolvedConfigPath = configPath
+      ? path.resolve(configPath)
+      : path.join(__dirname, 'config.yaml');
     // Read the YAML file
-    const fileContents = await fs.readFile(configPath, 'utf8');
+    const fileContents = await fs.readFile(resolvedConfigPath, 'utf8');
     // Parse YAML to JavaScript object
     const loadedConfig = yaml.load(fileContents);
+    loadedConfig.CONFIG_PATH = resolvedConfigPath;
+    loadedConfig.ASSUME_YES = assumeYes;
+    loadedConfig.DRY_RUN = dryRun;
+    loadedConfig.RESUME_MODE = resumeMode;
 
     // Check the API status if the OPERATION is not set
     if (!loadedConfig.OPERATION && testApi) await checkApiStatus();
 
-    // Return the configuration object if promptUser is false
-    if (!promptUser) return loadedConfig;
-
-    // Prompt user to select the operation to perform on the data source
-    loadedConfig.OPERATION = await select({
-      message: 'Select the operation to perform:',
-      choices: [
-        {
-          name: 'Create index file',
-          value: 'index',
-          description: 'Create an index of all files in the data source with associated metadata',
-        },
-        {
-          name: 'Update index file and metadata',
-          value: 'update',
-          description: 'Update the index and metadata for all files in the data source',
-        },
-        {
-          name: 'Filename search',
-          value: 'file_search',
-          description: 'Search the data source for a specific file',
-        },
-      ],
-    });
-
-    if (loadedConfig.OPERATION != 'file_search') {
-      // Prompt user for data source selection
-      loadedConfig.dataSourceSelection = await select({
-        message: 'Select the data source:',
+    // Use the operation passed as argument, or prompt the user to select the operation
+    if (operation) {
+      loadedConfig.OPERATION = operation;
+    } else if (promptUser) {
+      loadedConfig.OPERATION = await select({
+        message: 'Select the operation to perform:',
         choices: [
-          { name: 'iCube', value: 'iCube', description: 'Help files for iCube Engineer' },
-          { name: 'DWEZ', value: 'DWEZ', description: 'Help files for DriveWorks EZ' },
+          {
+            name: 'Create index file',
+            value: 'index',
+            description: 'Create an index of all files in the data source with associated metadata',
+          },
+          {
+            name: 'Update index file and metadata',
+            value: 'update',
+            description: 'Update the index and metadata for all files in the data source',
+          },
+          {
+            name: 'Preview metadata update (dry run)',
+            value: 'dry_run',
+            description: 'Compare the metadata and write a report without modifying Empolis',
+          },
+          {
+            name: 'Filename search',
+            value: 'file_search',
+            description: 'Look up a specific file in the data source (exact match)',
+          },
+          {
+            name: 'Full-text search',
+            value: 'index_search',
+            description:
+              'Search the Empolis index with filters and facets, and show the metadata of the results',
+          },
+          {
+            name: 'Export records',
+            value: 'export',
+            description: 'Export the records of the data source in Empolis to CSV',
+          },
+          {
+            name: 'Import metadata',
+            value: 'import',
+            description: 'Merge the reviewed metadata of a CSV or XLSX file into Empolis',
+          },
+          {
+            name: 'Reconcile data source',
+            value: 'reconcile',
+            description: 'Compare the local files with the records of the data source in Empolis',
+          },
+          {
+            name: 'Roll back an update run',
+            value: 'rollback',
+            description: 'Restore the metadata saved before an update run',
+          },
+          {
+            name: 'Watch data sources',
+            value: 'watch',
+            description:
+              'Update the metadata of changed files in all data sources until stopped (Ctrl+C)',
+          },
+          {
+            name: 'HTTP service',
+            value: 'serve',
+            description: 'Start the HTTP service for status, file lookup and update jobs',
+          },
+          {
+            name: 'API status',
+            value: 'status',
+            description: 'Check the status of the Empolis API services',
+          },
         ],
       });
-
-      // Configure the data source based on user selection
-      switch (loadedConfig.dataSourceSelection) {
-        case 'iCube':
-          loadedConfig.DATA_SOURCE = loadedConfig.ICUBE_DATA_SOURCE;
-          loadedConfig.FILE_DIR = loadedConfig.ICUBE_HELP_DIR;
-          break;
-        case 'DWEZ':
-          loadedConfig.DATA_SOURCE = loadedConfig.DWEZ_DATA_SOURCE;
-          loadedConfig.FILE_DIR = loadedConfig.DWEZ_HELP_DIR;
-          break;
+      // A dry run is an update operation that does not modify Empolis
+      if (loadedConfig.OPERATION === 'dry_run') {
+        loadedConfig.OPERATION = 'update';
+        loadedConfig.DRY_RUN = true;
       }
     }
 
-    return loadedConfig;
+    // Return the configuration object if no data source is needed for the operation
+    const dataSourceOperations = [
+      'index',
+      'update',
+      'file_search',
+      'rollback',
+      'reconcile',
+      'export',
+      'import',
+      'watch',
+      'index_search',
+    ];
+    if (!dataSourceOperations.includes(loadedConfig.OPERATION)) {
+      return loadedConfig;
+    }
+    // All data sources are watched or searched if no data source is passed as argument
+    if (['watch', 'index_search'].includes(loadedConfig.OPERATION) && !source) return loadedConfig;
+
+    // Use the data source passed as argument, or prompt the user for data source selection
+    const dataSources = getDataSources(loadedConfig);
+    let dataSourceName = source;
+    if (!dataSourceName && promptUser) {
+      dataSourceName = await select({
+        message: 'Select the data source:',
+        choices: dataSources.map((dataSource) => ({
+          name: dataSource.NAME,
+          value: dataSource.NAME,
+          description: dataSource.DESCRIPTION,
+        })),
+      });
+    }
+    if (!dataSourceName) return loadedConfig;
+
+    // Configure the data source based on user selection
+    return applyDataSource(loadedConfig, findDataSource(loadedConfig, dataSourceName));
   } catch (error) {
     console.error(`loadconfig() Error:\n${error}`);
     throw error;
   }
 }
+
+/**
+ * Run a function with its own configuration.
+ * <br>Within the function (including its asynchronous calls), getConfig() returns this configuration instead of the
+ * configuration set with setConfig(), so that operations for different data sources can run at the same time.
+ * @function runWithConfig
+ * @param {Object} contextConfig - configuration of the function
+ * @param {Function} callback - function to run
+ * @returns {*} return value of the function
+ */
+export function runWithConfig(contextConfig, callback) {
+  return configContext.run(contextConfig, callback);
+}
+
+/**
+ * Get the list of data sources from the configuration (DATA_SOURCES)
+ * @function getDataSources
+ * @param {Object} loadedConfig - configuration object
+ * @returns {Array<Object>} data source definitions
+ * @throws {Error} if no data sources are configured, or a data source definition is incomplete
+ */
+export function getDataSources(loadedConfig) {
+  const dataSources = loadedConfig.DATA_SOURCES;
+  if (!Array.isArray(dataSources) || dataSources.length === 0) {
+    throw new Error('No data sources configured in DATA_SOURCES');
+  }
+  const names = new Set();
+  for (const dataSource of dataSources) {
+    for (const key of ['NAME', 'FILE_DIR', 'DATA_SOURCE']) {
+      if (!dataSource?.[key]) {
+        throw new Error(`Data source '${dataSource?.NAME ?? '?'}' is missing '${key}'`);
+      }
+    }
+    if (names.has(dataSource.NAME.toLowerCase())) {
+      throw new Error(`Data source '${dataSource.NAME}' is configured more than once`);
+    }
+    names.add(dataSource.NAME.toLowerCase());
+  }
+  return dataSources;
+}
+
+/**
+ * Find a data source by name (case-insensitive)
+ * @function findDataSource
+ * @param {Object} loadedConfig - configuration object
+ * @param {string} name - NAME of the data source
+ * @returns {Object} data source definition
+ * @throws {Error} if the data source is not configured
+ */
+export function findDataSource(loadedConfig, name) {
+  const dataSources = getDataSources(loadedConfig);
+  const dataSource = dataSources.find(
+    (candidate) => candidate.NAME.toLowerCase() === name.toLowerCase()
+  );
+  if (!dataSource) {
+    throw new Error(
+      `Unknown data source '${name}'. Available data sources: ` +
+        dataSources.map((candidate) => candidate.NAME).join(', ')
+    );
+  }
+  return dataSource;
+}
+
+/**
+ * Apply a data source definition to the configuration.
+ * <br>Sets 'dataSourceSelection', 'DATA_SOURCE' (storage location in Empolis), 'FILE_DIR' (local directory),
+ * 'FILE_TYPES', and 'SOURCE_CONFIG' (the complete data source definition, e.g. extractor and visibility settings).
+ * @function applyDataSource
+ * @param {Object} loadedConfig - configuration object
+ * @param {Object} dataSource - data source definition from DATA_SOURCES
+ * @returns {Object} configuration object with the selected data source
+ */
+export function applyDataSource(loadedConfig, dataSource) {
+  loadedConfig.dataSourceSelection = dataSource.NAME;
+  loadedConfig.DATA_SOURCE = dataSource.DATA_SOURCE;
+  loadedConfig.FILE_DIR = dataSource.FILE_DIR;
+  loadedConfig.FILE_TYPES = dataSource.FILE_TYPES ?? ['.html', '.htm'];
+  loadedConfig.SOURCE_CONFIG = dataSource;
+  return loadedConfig;
+}
@@ -0,0 +1,122 @@
+// Imports
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import logger from './logger.js';
+
+/**
+ * Namespace for all elements related to the dry-run report of a metadata update
+ * @namespace dryRunReport
+ */
+
+/**
+ * Write the dry-run report of a metadata update as JSON and as a readable Markdown table.
+ * <br>The report files are written next to the index file, named with the data source and a timestamp.
+ * @async
+ * @function writeDryRunReport
+ * @memberof dryRunReport
+ * @param {Array<Object>} entries - report entries (filename, downloadLink, status, changes)
+ * @param {string} indexFile - path of the index file of the data source
+ * @param {string} dataSource - name of the data source
+ * @returns {Promise<Object>} paths of the JSON report and the Markdown report
+ * @requires fs.writeFile
+ * @requires logger
+ */
+export async function writeDryRunReport({ entries, indexFile, dataSource }) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const reportBase = path.join(
+    path.dirname(indexFile),
+    `dry_run_report_${dataSource}_${timestamp}`
+  );
+  const jsonReport = `${reportBase}.json`;
+  const markdownReport = `${reportBase}.md`;
+
+  const report = {
+    dataSource,
+    createdAt: new Date().toISOString(),
+    summary: summarize(entries),
+    files: entries,
+  };
+
+  try {
+    await fs.writeFile(jsonReport, JSON.stringify(report, null, 2));
+    await fs.writeFile(markdownReport, formatMarkdownReport(report));
+    logger.info(`Dry run report written to ${jsonReport} and ${markdownReport}`);
+    return { jsonReport, markdownReport };
+  } catch (error) {
+    logger.error(`writeDryRunReport() Error:\n${error}`);
+    throw new Error(`Failed to write dry run report: ${error.message}`);
+  }
+}
+
+/**
+ * Count the report entries per status
+ * @function summarize
+ * @memberof dryRunReport
+ * @private
+ * @param {Array<Object>} entries - report entries
+ * @returns {Object} number of entries per status
+ */
+function summarize(entries) {
+  const summary = { update: 0, unchanged: 0, blocked: 0, ambiguous: 0, failed: 0 };
+  for (const entry of entries) summary[entry.status] = (summary[entry.status] ?? 0) + 1;
+  return summary;
+}
+
+/**
+ * Format the report as Markdown, with one table row per changed attribute
+ * @function formatMarkdownReport
+ * @memberof dryRunReport
+ * @private
+ * @param {Object} report - dry-run report
+ * @returns {string} Markdown document
+ */
+function formatMarkdownReport(report) {
+  const lines = [
+    `# Dry run report: ${report.dataSource}`,
+    '',
+    `Created: ${report.createdAt}`,
+    '',
+    `Files to update: ${report.summary.update}, unchanged: ${report.summary.unchanged},` +
+      ` no title: ${report.summary.blocked}, ambiguous: ${report.summary.ambiguous},` +
+      ` failed: ${report.summary.failed}`,
+    '',
+    '## Proposed changes',
+    '',
+    '| File | Attribute | Current | Proposed |',
+    '| --- | --- | --- | --- |',
+  ];
+  for (const entry of report.files.filter((file) => file.status === 'update')) {
+    for (const change of entry.changes) {
+      lines.push(
+        `| ${escapeCell(entry.filename)} | ${escapeCell(change.attribute)}` +
+          ` | ${escapeCell(change.current)} | ${escapeCell(change.proposed)} |`
+      );
+    }
+  }
+
+  for (const [status, heading] of [
+    ['blocked', 'Files without title (manual review)'],
+    ['ambiguous', 'Ambiguous files'],
+    ['failed', 'Failed files'],
+  ]) {
+    const files = report.files.filter((file) => file.status === status);
+    if (files.length === 0) continue;
+    lines.push('', `## ${heading}`, '');
+    for (const entry of files) lines.push(`- ${entry.filename}: ${entry.message}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Format a metadata value for a Markdown table cell
+ * @function escapeCell
+ * @memberof dryRunReport
+ * @private
+ * @param {*} value - metadata value
+ * @returns {string} value as single line string with escaped pipe characters
+ */
+function escapeCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
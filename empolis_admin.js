@@ -1,8 +1,7 @@
 // Imports
-import got from 'got';
 import logger from './logger.js';
-import { logResponse } from './logger.js';
 import { getConfig } from './config.js';
+import { empolisRequest } from './empolis_client.js';
 import chalk from 'chalk';
 
 /**
@@ -27,21 +26,49 @@ let tokenCache = {
   refreshTokenExpirationTime: null,
 };
 
+/**
+ * Pending token request, shared by concurrent callers of getToken()
+ * @type {Promise<string>|null}
+ * @memberof empolisAdmin
+ * @private
+ */
+let pendingTokenRequest = null;
+
 /**
  * Function to retrieve the authentication token used with the Empolis API. Authentication with the Empolis API is handled via the
  * [Resource Owner Password Credentials Grant]{@link https://yaskawa2.esc-eu-central-1.empolisservices.com/doc/en/getting-started/api-authorization#curl-resource-owner-password-credentials-grant}
  * method.
  * <br>Credentials are stored in the .env file (.gitignore) in project root.
  * <br>Token is cached and reused until expiration. If expired, it attempts to refresh using the refresh token.
+ * <br>Concurrent calls share a single pending token request.
  * @async
  * @function getToken
  * @memberof empolisAdmin
  * @returns {Promise<string>} Token to authenticate Empolis API requests
+ * @throws {EmpolisApiError|EmpolisNetworkError} if no token can be retrieved
  * @requires dotenv
- * @requires got
+ * @requires empolis_client
  */
 export async function getToken() {
   logger.debug(`getToken() started`);
+  // Share a pending token request between concurrent callers
+  if (!pendingTokenRequest) {
+    pendingTokenRequest = requestToken().finally(() => {
+      pendingTokenRequest = null;
+    });
+  }
+  return pendingTokenRequest;
+}
+
+/**
+ * Function to get the access token from the cache, or to request a new one (see getToken())
+ * @async
+ * @function requestToken
+ * @memberof empolisAdmin
+ * @private
+ * @returns {Promise<string>} Token to authenticate Empolis API requests
+ */
+async function requestToken() {
   const config = getConfig();
   const currentTime = Date.now();
 
@@ -76,14 +103,9 @@ export async function getToken() {
 
       return tokenCache.accessToken;
     } catch (error) {
-      logger.warn('Failed to refresh token, will attempt to get new tokens', error);
+      logger.warn(`Failed to refresh token, will attempt to get new tokens:\n${error}`);
       // Clear token cache since refresh failed
-      tokenCache = {
-        accessToken: null,
-        refreshToken: null,
-        accessTokenExpirationTime: null,
-        refreshTokenExpirationTime: null,
-      };
+      invalidateToken();
     }
   }
 
@@ -95,20 +117,18 @@ export async function getToken() {
     throw new Error('Missing required environment variables');
   }
 
-  const options = {
-    username: CLIENT_ID,
-    password: CLIENT_SECRET,
-    headers: {
-      'content-type': 'application/x-www-form-urlencoded',
-    },
-    body: `grant_type=password&username=${API_USERNAME}&password=${API_PASSWORD}&scope=${config.API_SCOPE}`,
-  };
-
   try {
-    const response = await got.post(url, options);
-    logResponse(response, 'getToken() got response');
-
-    const tokenResponse = JSON.parse(response.body);
+    const { body: tokenResponse } = await empolisRequest({
+      method: 'POST',
+      url,
+      auth: false,
+      headers: {
+        'content-type': 'application/x-www-form-urlencoded',
+      },
+      body: `grant_type=password&username=${API_USERNAME}&password=${API_PASSWORD}&scope=${config.API_SCOPE}`,
+      options: { username: CLIENT_ID, password: CLIENT_SECRET },
+      logTitle: 'getToken() response',
+    });
 
     // Cache the new tokens
     tokenCache.accessToken = tokenResponse.access_token;
@@ -123,17 +143,28 @@ export async function getToken() {
     return tokenCache.accessToken;
   } catch (error) {
     // Clear cache on error
-    tokenCache = {
-      accessToken: null,
-      refreshToken: null,
-      accessTokenExpirationTime: null,
-      refreshTokenExpirationTime: null,
-    };
+    invalidateToken();
     logger.error(`getToken() Error:\n${error}`);
     throw error;
   }
 }
 
+/**
+ * Invalidate the cached tokens, e.g. after the access token was rejected by an Empolis API (401).
+ * <br>The next call of getToken() requests a new token.
+ * @function invalidateToken
+ * @memberof empolisAdmin
+ */
+export function invalidateToken() {
+  logger.debug('Token cache invalidated');
+  tokenCache = {
+    accessToken: null,
+    refreshToken: null,
+    accessTokenExpirationTime: null,
+    refreshTokenExpirationTime: null,
+  };
+}
+
 /**
  * Function to refresh the access token using a refresh token
  * @async
@@ -149,17 +180,18 @@ async function refreshAccessToken(refreshToken) {
     const config = getConfig();
     const { CLIENT_ID, CLIENT_SECRET } = process.env;
     const url = `${config.BASE_URL}/oauth2/token`;
-    const options = {
-      username: CLIENT_ID,
-      password: CLIENT_SECRET,
+    const response = await empolisRequest({
+      method: 'POST',
+      url,
+      auth: false,
       headers: {
         'content-type': 'application/x-www-form-urlencoded',
       },
       body: `grant_type=refresh_token&refresh_token=${refreshToken}`,
-    };
-    const response = await got.post(url, options);
-    logResponse(response, 'refreshAccessToken() got response');
-    return JSON.parse(response.body);
+      options: { username: CLIENT_ID, password: CLIENT_SECRET },
+      logTitle: 'refreshAccessToken() response',
+    });
+    return response.body;
   } catch (error) {
     logger.error(`refreshAccessToken() Error:\n${error}`);
     throw error;
@@ -171,30 +203,15 @@ async function refreshAccessToken(refreshToken) {
  * @async
  * @function checkApiStatus
  * @memberof empolisAdmin
- * @requires ./empolis_functions.js
+ * @requires empolis_client
  * @returns error if an API is not operational
  */
 export async function checkApiStatus() {
   logger.debug(`checkApiStatus() started`);
-  const config = getConfig();
-  const API_TOKEN = await getToken();
-
   const apiChecks = [
-    apiOperational({
-      authToken: API_TOKEN,
-      apiName: 'ingest',
-      apiVersion: config.INGEST_API_VERSION,
-    }),
-    apiOperational({
-      authToken: API_TOKEN,
-      apiName: 'ias',
-      apiVersion: config.IAS_API_VERSION,
-    }),
-    apiOperational({
-      authToken: API_TOKEN,
-      apiName: 'store',
-      apiVersion: config.STORE_API_VERSION,
-    }),
+    apiOperational({ apiName: 'ingest' }),
+    apiOperational({ apiName: 'ias' }),
+    apiOperational({ apiName: 'store' }),
   ];
 
   const results = await Promise.all(apiChecks);
@@ -214,27 +231,23 @@ export async function checkApiStatus() {
  * @async
  * @function apiOperational
  * @memberof empolisAdmin
- * @param {string} authToken - authentication token for API requests
- * @param {string} apiName - name of the API to query
- * @param {string} apiVersion - API version to query
- * @returns {Promise<string>} operational status of the API (true if operational)
- * @requires got
+ * @param {string} apiName - name of the API to query ('ingest', 'ias' or 'store'), the API version is taken from the config
+ * @returns {Promise<boolean>} operational status of the API (true if operational)
+ * @throws {EmpolisApiError|EmpolisNetworkError} if the status cannot be retrieved
+ * @requires empolis_client
  */
-async function apiOperational({ authToken, apiName, apiVersion }) {
-  logger.debug(`apiOperational(${apiName}, ${apiVersion}) started`);
+async function apiOperational({ apiName }) {
+  logger.debug(`apiOperational(${apiName}) started`);
   try {
-    const config = getConfig();
-    const url = `${config.BASE_URL}/api/${apiName}/${apiVersion}/alive`;
-    const options = {
-      headers: {
-        Authorization: `Bearer ${authToken}`,
-      },
-    };
-    const response = await got.get(url, options);
-    logResponse(response, 'apiOperational() got.get response');
-    return JSON.parse(response.body).operational;
+    const response = await empolisRequest({
+      service: apiName,
+      endpoint: 'alive',
+      logTitle: 'apiOperational() response',
+    });
+    return Boolean(response.body?.operational);
   } catch (error) {
     console.error(`apiOperational() Error:\n${error}`);
     logger.error(`apiOperational() Error:\n${error}`);
+    throw error;
   }
 }
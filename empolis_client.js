@@ -0,0 +1,173 @@
+// Imports
+import got from 'got';
+import { setTimeout as sleep } from 'node:timers/promises';
+import logger, { logResponse } from './logger.js';
+import { getConfig } from './config.js';
+import { getToken, invalidateToken } from './empolis_admin.js';
+import { waitForRateLimit } from './pipeline.js';
+import { EmpolisApiError, EmpolisNetworkError } from './errors.js';
+
+/**
+ * Namespace for the HTTP client shared by all Empolis API requests
+ * @namespace empolisClient
+ */
+
+/**
+ * HTTP status codes of responses that are retried
+ * @type {Array<number>}
+ * @memberof empolisClient
+ * @private
+ */
+const RETRY_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Configuration keys of the API versions of the Empolis services
+ * @type {Object}
+ * @memberof empolisClient
+ * @private
+ */
+const API_VERSION_KEYS = {
+  ingest: 'INGEST_API_VERSION',
+  ias: 'IAS_API_VERSION',
+  store: 'STORE_API_VERSION',
+};
+
+/**
+ * Build the URL of an Empolis API endpoint from the BASE_URL and the API version of the service in the config
+ * @function buildApiUrl
+ * @memberof empolisClient
+ * @param {string} service - Empolis service ('ingest', 'ias' or 'store')
+ * @param {string} endpoint - endpoint path relative to the API version (e.g. 'index/project1_p/search')
+ * @returns {string} URL of the endpoint
+ * @throws {Error} if the service is unknown
+ */
+export function buildApiUrl({ service, endpoint }) {
+  const config = getConfig();
+  const versionKey = API_VERSION_KEYS[service];
+  if (!versionKey) throw new Error(`Unknown Empolis service '${service}'`);
+  return `${config.BASE_URL}/api/${service}/${config[versionKey]}/${endpoint.replace(/^\/+/, '')}`;
+}
+
+/**
+ * Send a request to an Empolis API.
+ * <br>Requests are authenticated with the cached token from getToken(). If the token is rejected (401), the token
+ * cache is invalidated and the request is retried once with a new token.
+ * <br>Responses with status 408, 429 or 5xx and network errors are retried with exponential backoff
+ * (HTTP_RETRIES, HTTP_RETRY_DELAY_MS). A 'Retry-After' header is respected.
+ * <br>All requests are subject to the configured rate limit (see pipeline).
+ * @async
+ * @function empolisRequest
+ * @memberof empolisClient
+ * @param {string} [method='GET'] - HTTP method
+ * @param {string} [url] - complete URL of the request (alternative to service and endpoint)
+ * @param {string} [service] - Empolis service ('ingest', 'ias' or 'store'), see buildApiUrl()
+ * @param {string} [endpoint] - endpoint path relative to the API version, see buildApiUrl()
+ * @param {Object} [json] - request body, sent as JSON
+ * @param {string} [body] - raw request body
+ * @param {Object} [headers] - additional request headers
+ * @param {boolean} [auth=true] - authenticate the request with the Empolis API token
+ * @param {Object} [options] - additional got() options (e.g. username and password for basic authentication)
+ * @param {string} [logTitle] - title of the response log entry
+ * @returns {Promise<Object>} statusCode, headers and body (parsed as JSON if possible) of the response
+ * @throws {EmpolisApiError} if the API responds with an error status code (after retries)
+ * @throws {EmpolisNetworkError} if the API cannot be reached (after retries)
+ * @requires got
+ * @requires empolis_admin
+ */
+export async function empolisRequest({
+  method = 'GET',
+  url,
+  service,
+  endpoint,
+  json,
+  body,
+  headers = {},
+  auth = true,
+  options = {},
+  logTitle = 'empolisRequest() response',
+}) {
+  const config = getConfig();
+  const requestUrl = url ?? buildApiUrl({ service, endpoint });
+  const maxRetries = config.HTTP_RETRIES ?? 3;
+  const retryDelay = config.HTTP_RETRY_DELAY_MS ?? 1000;
+  let tokenRefreshed = false;
+
+  for (let attempt = 0; ; attempt++) {
+    const requestHeaders = { ...headers };
+    if (auth) requestHeaders.Authorization = `Bearer ${await getToken()}`;
+    if (json !== undefined) requestHeaders['Content-Type'] = 'application/json';
+
+    let response;
+    try {
+      await waitForRateLimit();
+      response = await got(requestUrl, {
+        method,
+        headers: requestHeaders,
+        body: json !== undefined ? JSON.stringify(json) : body,
+        throwHttpErrors: false,
+        retry: { limit: 0 },
+        timeout: { request: config.HTTP_TIMEOUT_MS ?? 60000 },
+        ...options,
+      });
+    } catch (error) {
+      const networkError = new EmpolisNetworkError({ cause: error, method, url: requestUrl });
+      if (attempt < maxRetries) {
+        const delay = retryDelay * 2 ** attempt;
+        logger.warn(`${networkError.message}. Retrying in ${delay} ms`);
+        await sleep(delay);
+        continue;
+      }
+      logger.error(`empolisRequest() Error:\n${networkError.message}`);
+      throw networkError;
+    }
+
+    logResponse(response, logTitle);
+    const { statusCode } = response;
+    if (statusCode >= 200 && statusCode < 300) {
+      return { statusCode, headers: response.headers, body: parseBody(response.body) };
+    }
+
+    // Invalidate the token and retry once with a new token if it was rejected
+    if (statusCode === 401 && auth && !tokenRefreshed) {
+      logger.warn(`${method} ${requestUrl} returned 401, requesting a new token`);
+      invalidateToken();
+      tokenRefreshed = true;
+      attempt--;
+      continue;
+    }
+
+    if (RETRY_STATUS_CODES.includes(statusCode) && attempt < maxRetries) {
+      const retryAfter = Number(response.headers['retry-after']) * 1000;
+      const delay = retryAfter > 0 ? retryAfter : retryDelay * 2 ** attempt;
+      logger.warn(`${method} ${requestUrl} returned ${statusCode}. Retrying in ${delay} ms`);
+      await sleep(delay);
+      continue;
+    }
+
+    const apiError = new EmpolisApiError({
+      statusCode,
+      body: parseBody(response.body),
+      method,
+      url: requestUrl,
+    });
+    logger.error(`empolisRequest() Error:\n${apiError.message}`);
+    throw apiError;
+  }
+}
+
+/**
+ * Parse a response body as JSON, if possible
+ * @function parseBody
+ * @memberof empolisClient
+ * @private
+ * @param {string} body - response body
+ * @returns {*} parsed JSON, the raw body if it is not valid JSON, or null if the body is empty
+ */
+function parseBody(body) {
+  if (!body) return null;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
@@ -1,12 +1,35 @@
 // Imports
-import got from 'got';
 import chalk from 'chalk';
 import util from 'util';
-import logger, { logPrettyJson, logResponse } from './logger.js';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import logger, { logPrettyJson } from './logger.js';
 import { readJsonData } from './helpers.js';
 import { getConfig } from './config.js';
-import { getToken } from './empolis_admin.js';
-import { fileSearch } from './empolis_search.js';
+import { empolisRequest } from './empolis_client.js';
+import { lookupFile } from './empolis_search.js';
+import { getVisibilityMetadata, visibilityMatches } from './visibility.js';
+import { getTaxonomyMetadata, taxonomyMatches, validateTaxonomyMappings } from './taxonomy.js';
+import { assertValidMetadata } from './schema.js';
+import {
+  applyKeywordPolicy,
+  getKeywordPolicy,
+  joinKeywords,
+  keywordsMatch,
+  splitKeywords,
+} from './keywords.js';
+import {
+  getGermanFields,
+  localizeValue,
+  prepareLocalization,
+  textMatches,
+} from './localization.js';
+import { MetadataValidationError } from './errors.js';
+import { isUntitled, writeTitleReview } from './titles.js';
+import { writeDryRunReport } from './dry_run_report.js';
+import { configureRateLimit, runWorkerPool } from './pipeline.js';
+import { completeJournal, getPendingFiles, openJournal, recordFileResult } from './journal.js';
+import { openSnapshotStore, readSnapshots, saveSnapshot, SNAPSHOT_DIRECTORY } from './snapshots.js';
 
 /**
  * Namespace for all elements related to Empolis File or Record operations
@@ -23,177 +46,551 @@ const FILE_PATH_ERROR = "Metadata must contain 'FilePath'";
  * @memberof empolisOps
  * @param {string} path - file path ('DownloadLink' attribute)
  * @returns {Promise<JSON>} file metadata
- * @requires got
+ * @throws {EmpolisApiError|EmpolisNetworkError} if the metadata cannot be retrieved
+ * @requires empolis_client
  */
 export async function getFileMetadata({ path }) {
   logger.debug(`getFileMetadata() started`);
-  const config = getConfig();
   try {
-    const API_TOKEN = await getToken();
-    const url = `${config.BASE_URL}/api/store/${config.STORE_API_VERSION}/file/${path}?metadata`;
-    const headers = { Authorization: `Bearer ${API_TOKEN}` };
-    const options = { headers };
-
-    const response = await got.get(url, options);
-    logResponse(response, 'getFileMetadata() got response');
-    return JSON.parse(response.body);
+    const response = await empolisRequest({
+      service: 'store',
+      endpoint: `file/${path}?metadata`,
+      logTitle: 'getFileMetadata() response',
+    });
+    return response.body;
   } catch (error) {
-    console.error(`getFileMetadata() Error:\n${error}`);
     logger.error(`getFileMetadata() Error:\n${error}`);
+    throw error;
   }
 }
 
 /**
  * Update the metadata of files in the Empolis cloud with information from the index file
+ * <br>The files are processed by UPDATE_CONCURRENCY concurrent workers, and the Empolis API requests are limited to
+ * REQUESTS_PER_SECOND. Progress is reported in the order of the file list.
+ * <br>The result of each file is recorded in a journal next to the index file. With RESUME_MODE 'resume', only the
+ * files without result in the journal of the previous run are processed, with 'retry_failed' only the failed files.
+ * <br>The original metadata of each modified file is saved in the snapshots of the run (see rollbackRun()).
+ * <br>The taxonomy nodes mapped in the data source and the keyword policy are checked before any file is processed.
+ * <br>Files without title ('Untitled') are not updated, they are listed for manual review in
+ * 'index/title_review_&lt;source&gt;_&lt;timestamp&gt;.csv' next to the index file.
  * @async
  * @function updateCloudMetadata
  * @memberof empolis_ops
  * @param {Array} fileList - list of filenames to update metadata for
  * @param {string} indexFile - path of the index file containing metadata
  * @requires empolis_admin
- * @returns {Promise<null>} null
+ * @requires dry_run_report
+ * @requires pipeline
+ * @requires journal
+ * @requires snapshots
+ * @requires taxonomy
+ * @requires localization
+ * @requires keywords
+ * @returns {Promise<Object>} number of files that were updated (or proposed for update in a dry run), skipped
+ * (metadata already correct), blocked (no title), ambiguous (no or several matching records in Empolis), and failed
  */
 export async function updateCloudMetadata({ fileList, indexFile }) {
   logger.debug(`updateCloudMetadata() started`);
   const config = getConfig();
+  const summary = { updated: 0, proposed: 0, skipped: 0, blocked: 0, ambiguous: 0, failed: 0 };
+  await validateTaxonomyMappings();
+  // Fail before any file is processed if the keyword policy is unknown
+  getKeywordPolicy();
+  const localization = await prepareLocalization();
+  // Collect the proposed changes instead of writing them to Empolis in a dry run
+  const report = config.DRY_RUN ? [] : null;
   // Load the full index of files from the index file
   const index = await readJsonData(indexFile);
   logger.debug(`index: \n${util.inspect(index, { depth: null, colors: false })}`);
+  const indexEntries = new Map(index.map((entry) => [entry.filename, entry]));
+
+  // Open the progress journal (not written in a dry run) and select the files that still need to be processed
+  const journal = config.DRY_RUN
+    ? null
+    : await openJournal({
+        indexFile,
+        dataSource: config.dataSourceSelection,
+        mode: config.RESUME_MODE,
+      });
+  const pendingFiles = journal
+    ? getPendingFiles({ journal, fileList, mode: config.RESUME_MODE })
+    : fileList;
+  // Save the original metadata of each file before it is modified, so that the run can be rolled back
+  const snapshots = journal ? await openSnapshotStore({ indexFile, runId: journal.runId }) : null;
+  if (pendingFiles.length < fileList.length) {
+    console.log(
+      `  Continuing run ${chalk.cyan(journal.runId)}:` +
+        ` ${chalk.cyan(fileList.length - pendingFiles.length)} files already handled`
+    );
+  }
+
   // Update the metadata for each file in the index
-  console.log(`  Updating the metadata of ${chalk.cyan(fileList.length)} files...`);
-  logger.info(`Updating the metadata of ${fileList.length} files...`);
-  logger.debug(`fileList: \n${util.inspect(fileList, { depth: null, colors: false })}`);
-  for (const file of fileList) {
-    const fileIndex = index.findIndex((obj) => obj.filename === file);
-    if (fileIndex === -1) {
-      logger.error(`File '${file}' not found in index`);
-      continue;
-    }
-    const fileData = index[fileIndex];
-    logger.debug(
-      `Processing fileData: \n${util.inspect(fileData, { depth: null, colors: false })}`
+  console.log(
+    `  ${config.DRY_RUN ? 'Comparing' : 'Updating'} the metadata of ${chalk.cyan(pendingFiles.length)} files` +
+      `${config.DRY_RUN ? ' (dry run, Empolis will not be modified)' : ''}...`
+  );
+  logger.info(
+    `Updating the metadata of ${pendingFiles.length} files` +
+      ` (concurrency: ${config.UPDATE_CONCURRENCY ?? 1},` +
+      ` requests per second: ${config.REQUESTS_PER_SECOND || 'unlimited'})...`
+  );
+  logger.debug(`pendingFiles: \n${util.inspect(pendingFiles, { depth: null, colors: false })}`);
+  configureRateLimit(config.REQUESTS_PER_SECOND);
+
+  // Process the files with a pool of concurrent workers, each file collects its own report entries
+  const untitledEntries = [];
+  const progressStep = Math.max(1, Math.ceil(pendingFiles.length / 10));
+  await runWorkerPool({
+    items: pendingFiles,
+    concurrency: config.UPDATE_CONCURRENCY,
+    worker: async (file) => {
+      const fileReport = report ? [] : null;
+      const fileData = indexEntries.get(file);
+      let status;
+      let message = null;
+      if (!fileData) {
+        logger.error(`File '${file}' not found in index`);
+        message = 'File not found in index';
+        fileReport?.push({ filename: file, status: 'failed', message });
+        status = 'failed';
+      } else {
+        logger.debug(
+          `Processing fileData: \n${util.inspect(fileData, { depth: null, colors: false })}`
+        );
+        try {
+          status = await processFile({
+            dataObject: fileData,
+            report: fileReport,
+            snapshots,
+            localization,
+          });
+        } catch (error) {
+          logger.error(`Failed to process ${file}:\n${error}`);
+          message = error.message;
+          fileReport?.push({ filename: file, status: 'failed', message });
+          status = 'failed';
+        }
+      }
+      if (journal) await recordFileResult({ journal, filename: file, result: status, message });
+      return { status, fileReport };
+    },
+    // Results are reported in the order of the file list
+    onResult: ({ item, value }, position) => {
+      summary[value.status]++;
+      if (value.status === 'blocked') untitledEntries.push(indexEntries.get(item));
+      if (value.fileReport) report.push(...value.fileReport);
+      logger.info(`[${position + 1}/${pendingFiles.length}] ${item}: ${value.status}`);
+      if ((position + 1) % progressStep === 0 || position + 1 === pendingFiles.length) {
+        console.log(`  Processed ${chalk.cyan(position + 1)} of ${pendingFiles.length} files`);
+      }
+    },
+  });
+  if (journal) await completeJournal({ journal, summary });
+  if (untitledEntries.length > 0) {
+    const reviewFile = await writeTitleReview({ entries: untitledEntries, indexFile });
+    console.log(
+      `  ${chalk.yellow('!')} ${chalk.cyan(untitledEntries.length)} files without title were not updated,` +
+        ` listed for review in ${chalk.cyan(reviewFile)}`
     );
-    await processFile({ dataObject: fileData });
   }
+  if (report) {
+    const { markdownReport } = await writeDryRunReport({
+      entries: report,
+      indexFile,
+      dataSource: config.dataSourceSelection,
+    });
+    console.log(
+      `${chalk.green('√')} Dry run report with ${chalk.cyan(summary.proposed)} proposed updates` +
+        ` written to ${chalk.cyan(markdownReport)}`
+    );
+  }
+  const changedLabel = config.DRY_RUN ? 'proposed' : 'updated';
+  console.log(
+    `${summary.failed || summary.ambiguous ? chalk.red('X') : chalk.green('√')}` +
+      ` Completed metadata update operation for '${config.dataSourceSelection}' data source` +
+      ` (${changedLabel}: ${chalk.cyan(summary[changedLabel])}, skipped: ${chalk.cyan(summary.skipped)},` +
+      ` no title: ${chalk.cyan(summary.blocked)}, ambiguous: ${chalk.cyan(summary.ambiguous)},` +
+      ` failed: ${chalk.cyan(summary.failed)})`
+  );
+  logger.info(
+    `Completed metadata update operation for '${config.dataSourceSelection}' data source` +
+      ` (${changedLabel}: ${summary[changedLabel]}, skipped: ${summary.skipped},` +
+      ` no title: ${summary.blocked}, ambiguous: ${summary.ambiguous}, failed: ${summary.failed})`
+  );
+  return summary;
+}
+
+/**
+ * Restore the original metadata of the files modified by an update run from the snapshots of the run
+ * <br>The saved metadata is posted with editFileMetadata(). Files whose current metadata already equals the snapshot
+ * are skipped. The restored attributes of each file are logged and written to a report in the snapshot directory.
+ * @async
+ * @function rollbackRun
+ * @memberof empolisOps
+ * @param {string} indexFile - path of the index file of the data source
+ * @param {string} runId - id of the update run to roll back
+ * @param {Array<string>} [files] - paths of the files to restore (relative to the data source directory), all files
+ * of the run if empty
+ * @requires snapshots
+ * @requires pipeline
+ * @returns {Promise<Object>} number of files that were restored, unchanged (metadata equals the snapshot), not found
+ * (no snapshot for the file), and failed
+ */
+export async function rollbackRun({ indexFile, runId, files = [] }) {
+  logger.debug(`rollbackRun(${runId}) started`);
+  const config = getConfig();
+  const summary = { restored: 0, unchanged: 0, not_found: 0, failed: 0 };
+  const snapshots = await readSnapshots({ indexFile, runId });
+  const selectedFiles = files.length > 0 ? files : [...snapshots.keys()];
+
   console.log(
-    `${chalk.green('√')}` +
-      ` Completed metadata update operation for '${config.dataSourceSelection}' data source`
+    `  Restoring the metadata of ${chalk.cyan(selectedFiles.length)} files from run ${chalk.cyan(runId)}...`
+  );
+  configureRateLimit(config.REQUESTS_PER_SECOND);
+  const results = await runWorkerPool({
+    items: selectedFiles,
+    concurrency: config.UPDATE_CONCURRENCY,
+    worker: async (file) => {
+      const snapshot = snapshots.get(file.replace(/\\/g, '/'));
+      if (!snapshot)
+        return { status: 'not_found', message: `No snapshot of '${file}' in run ${runId}` };
+      const currentMetadata = await getFileMetadata({ path: snapshot.downloadLink });
+      // Internal attributes ('_*') are maintained by Empolis and not restored
+      const changes = getMetadataChanges({
+        currentMetadata,
+        newMetadata: snapshot.metadata,
+      }).filter((change) => !change.attribute.startsWith('_'));
+      if (changes.length === 0) return { status: 'unchanged', changes };
+      const statusCode = await editFileMetadata({ newMetadata: snapshot.metadata });
+      return statusCode === 202
+        ? { status: 'restored', changes }
+        : { status: 'failed', message: `INGEST API responded with status ${statusCode}` };
+    },
+    onResult: ({ item, value, error }, position) => {
+      const result = error ? { status: 'failed', message: error.message } : value;
+      summary[result.status]++;
+      const attributes = (result.changes ?? []).map((change) => change.attribute).join(', ');
+      logger.info(
+        `[${position + 1}/${selectedFiles.length}] ${item}: ${result.status}` +
+          `${attributes ? ` (${attributes})` : ''}${result.message ? ` - ${result.message}` : ''}`
+      );
+      if (result.status !== 'unchanged') {
+        console.log(
+          `  ${result.status === 'restored' ? chalk.green('√') : chalk.red('X')} ${item}: ${result.status}` +
+            `${attributes ? ` (${attributes})` : ''}${result.message ? ` - ${result.message}` : ''}`
+        );
+      }
+    },
+  });
+
+  // Write the restored attributes of each file to the report of the rollback
+  const reportFile = path.join(
+    path.dirname(indexFile),
+    SNAPSHOT_DIRECTORY,
+    `rollback_${runId}_${new Date().toISOString().replace(/[:.]/g, '-')}.json`
+  );
+  const reportEntries = results.map(({ item, value, error }) => ({
+    filename: item,
+    ...(error ? { status: 'failed', message: error.message } : value),
+  }));
+  await fs.writeFile(
+    reportFile,
+    JSON.stringify(
+      { runId, dataSource: config.dataSourceSelection, summary, files: reportEntries },
+      null,
+      2
+    )
+  );
+
+  console.log(
+    `${summary.failed || summary.not_found ? chalk.red('X') : chalk.green('√')}` +
+      ` Completed rollback of run ${runId} for '${config.dataSourceSelection}' data source` +
+      ` (restored: ${chalk.cyan(summary.restored)}, unchanged: ${chalk.cyan(summary.unchanged)},` +
+      ` not found: ${chalk.cyan(summary.not_found)}, failed: ${chalk.cyan(summary.failed)})` +
+      `\n  Report written to ${chalk.cyan(reportFile)}`
   );
   logger.info(
-    `Completed metadata update operation for '${config.dataSourceSelection}' data source`
+    `Completed rollback of run ${runId} for '${config.dataSourceSelection}' data source` +
+      ` (restored: ${summary.restored}, unchanged: ${summary.unchanged},` +
+      ` not found: ${summary.not_found}, failed: ${summary.failed}), report: ${reportFile}`
   );
-  return null;
+  return summary;
 }
 
 /**
  * Function to modify the metadata of a file via the Empolis INGEST API
- * <br> Only modifies metadata with editFileMetadata() if it does not have the correct value already
+ * <br> Sets the Title, Keywords and the visibility tags ('ese_VisibilityLevel', 'skilllevel') of the file, the
+ * Author of PDF and DOCX files, and adds the taxonomy values mapped in the data source ('product', 'doctype',
+ * 'dokumentenherkunft')
+ * <br> The extracted keywords are combined with the current keywords according to the keyword policy of the data
+ * source (KEYWORD_POLICY: 'replace', 'merge' or 'append'), and compared as normalized sets (see keywordsMatch())
+ * <br> With LOCALIZATION configured for the data source, Title and Keywords are written as localized values
+ * ({ value, en, de }) if a German value is available
+ * <br> Only modifies metadata with postFileMetadata() if it does not have the correct value already
+ * <br> Files without title ('Untitled', see normalizeTitle()) are blocked, their metadata is not modified
+ * <br> Metadata that does not match the index schema (see assertValidMetadata()) is reported as failed, before the
+ * original metadata is saved in the snapshots
+ * <br> In a dry run (DRY_RUN), the metadata is not modified. The current and proposed values of all changed attributes
+ * are added to the report instead.
  * @async
  * @function processFile
  * @memberof empolisOps
  * @param {object} dataObject - object containing the relevant file properties and metadata
+ * @param {Array<Object>} [report] - dry-run report entries, the result for the file is added if provided
+ * @param {Object} [snapshots] - snapshot store of the run, the original metadata is saved before it is modified
+ * @param {Object} [localization] - localized attributes and translations (see prepareLocalization()), Title and
+ * Keywords are written as plain English values if not provided
  * @requires ./empolis_functions.js
  * @requires ./helpers.js
- * @returns nothing
+ * @returns {Promise<string>} 'updated', 'proposed' (dry run), 'skipped' (metadata already correct), 'blocked' (no
+ * title), 'ambiguous' (no or several matching records in Empolis), or 'failed'
  */
-async function processFile({ dataObject }) {
+export async function processFile({
+  dataObject,
+  report = null,
+  snapshots = null,
+  localization = null,
+}) {
+  const config = getConfig();
   logger.info(`processFile() started. Processing ${dataObject.filename}`);
   logger.debug(`dataObject: ${util.inspect(dataObject, { depth: null, colors: false })}`);
 
-  // Search for file in the user selected data source to get the current metadata
-  const fileMetadata = await fileSearch({ searchTerm: dataObject.filename, consoleOutput: false });
-
-  let newKeywords = '';
-  if (dataObject.breadcrumbs) {
-    for (const keyword of dataObject.breadcrumbs) {
-      newKeywords = newKeywords + keyword + '; ';
-    }
-    newKeywords = newKeywords.trim();
+  // Never upload the placeholder title of files without title, they need a manual review
+  if (isUntitled(dataObject.title)) {
+    const message = 'No title found, manual review required';
+    logger.warn(`${dataObject.filename}: ${message}, metadata will not be updated`);
+    report?.push({ filename: dataObject.filename, status: 'blocked', message });
+    return 'blocked';
   }
-  // Check if 'Title' and 'Keywords' are already correct
-  if (fileMetadata.Title && dataObject.title) {
-    if (fileMetadata.Title.toLowerCase() === dataObject.title.toLowerCase()) {
-      logger.info(`${dataObject.filename} already has the correct title`);
-      // Return if keywords and title already match
-      if (fileMetadata.Keywords_txt) {
-        if (fileMetadata.Keywords_txt.toLowerCase() === newKeywords.toLowerCase()) {
-          logger.info(
-            `${dataObject.filename} already has the correct title and keywords, metadata will not be updated`
-          );
-          return;
-        }
-      }
-      // Return if title matches, entry has no keywords, and there are no new keywords to be added
-      else if (newKeywords.length === 0) {
-        logger.info(
-          `Keywords for ${dataObject.filename} do not exist and title is correct, metadata will not be updated`
-        );
-        return;
-      }
-    }
+  // Look up the file in the user selected data source, and only continue with exactly one matching record
+  const lookup = await lookupFile({ filename: dataObject.filename });
+  if (lookup.status !== 'found') {
+    logger.warn(`${lookup.message}, metadata will not be updated`);
+    report?.push({ filename: dataObject.filename, status: 'ambiguous', message: lookup.message });
+    return 'ambiguous';
+  }
+  // Get the current metadata of the file
+  const fileMetadata = await getFileMetadata({ path: lookup.downloadLink });
+  if (!fileMetadata) {
+    logger.error(`No metadata found for ${dataObject.filename}, metadata will not be updated`);
+    report?.push({ filename: dataObject.filename, status: 'failed', message: 'No metadata found' });
+    return 'failed';
   }
-  // Build new metadata object with Title and optional Keywords
-  let newMetadata = { ...fileMetadata, Title: dataObject.title };
+
+  // Keywords from the breadcrumbs (HTML), or the keywords and document numbers (PDF, DOCX)
+  const keywordList = [
+    ...(dataObject.breadcrumbs ?? []),
+    ...(dataObject.keywords ?? []),
+    ...(dataObject.documentNumbers ?? []),
+  ];
+  // Combine the extracted keywords with the current keywords according to the keyword policy
+  const keywordPolicy = getKeywordPolicy();
+  const currentKeywords = splitKeywords(fileMetadata.Keywords_txt);
+  const newKeywords = joinKeywords(
+    applyKeywordPolicy({
+      policy: keywordPolicy,
+      current: currentKeywords.en ?? currentKeywords.value,
+      extracted: keywordList,
+    })
+  );
+  // Localized Title and Keywords with the German values of the German variant or the translations
+  const germanFields = localization
+    ? getGermanFields({ dataObject, keywordList, translations: localization.translations })
+    : null;
+  const newTitle = localization?.attributes.has('Title')
+    ? localizeValue({ value: dataObject.title, germanValue: germanFields.title })
+    : dataObject.title;
+  const newKeywordsValue = localization?.attributes.has('Keywords_txt')
+    ? localizeValue({
+        value: newKeywords,
+        germanValue: joinKeywords(
+          applyKeywordPolicy({
+            policy: keywordPolicy,
+            current: currentKeywords.de,
+            extracted: germanFields.keywords,
+          })
+        ),
+      })
+    : newKeywords;
+  // Author from the document properties (PDF, DOCX)
+  const authorMetadata = dataObject.author ? { Author: [dataObject.author] } : {};
+  // Compute the visibility tags for the configured access level
+  const visibilityMetadata = getVisibilityMetadata({ filePath: dataObject.filename });
+  // Add the taxonomy nodes mapped from the breadcrumbs, folder or filename
+  const taxonomyMetadata = await getTaxonomyMetadata({
+    filePath: dataObject.filename,
+    breadcrumbs: dataObject.breadcrumbs,
+    fileMetadata,
+  });
+
+  // Check if 'Title', 'Keywords', visibility tags and taxonomy values are already correct
+  const titleMatches = Boolean(dataObject.title) && textMatches(fileMetadata.Title, newTitle);
+  const keywordsAreCorrect =
+    newKeywords.length === 0 || keywordsMatch(fileMetadata.Keywords_txt, newKeywordsValue);
+  const visibilityIsCorrect = visibilityMatches({ fileMetadata, visibilityMetadata });
+  const taxonomyIsCorrect = taxonomyMatches({ fileMetadata, taxonomyMetadata });
+  const authorMatches =
+    !authorMetadata.Author ||
+    JSON.stringify(fileMetadata.Author) === JSON.stringify(authorMetadata.Author);
+  if (titleMatches) logger.info(`${dataObject.filename} already has the correct title`);
+  // Return if title, keywords, author, visibility tags and taxonomy values already match
+  if (
+    titleMatches &&
+    keywordsAreCorrect &&
+    visibilityIsCorrect &&
+    authorMatches &&
+    taxonomyIsCorrect
+  ) {
+    logger.info(
+      `${dataObject.filename} already has the correct title, keywords, visibility and taxonomy, metadata will not be updated`
+    );
+    report?.push({
+      filename: dataObject.filename,
+      downloadLink: fileMetadata.DownloadLink,
+      status: 'unchanged',
+      changes: [],
+    });
+    return 'skipped';
+  }
+  // Build new metadata object with Title, optional Keywords and Author, visibility tags and taxonomy values
+  let newMetadata = {
+    ...fileMetadata,
+    Title: newTitle,
+    ...authorMetadata,
+    ...visibilityMetadata,
+    ...taxonomyMetadata,
+  };
   if (newKeywords.length > 0) {
-    newMetadata = { ...newMetadata, Keywords_txt: newKeywords };
+    newMetadata = { ...newMetadata, Keywords_txt: newKeywordsValue };
   }
   logPrettyJson(newMetadata, 'newMetadata');
 
-  const editMetadataResponse = await editFileMetadata({ newMetadata });
+  // Report metadata that does not match the index schema as failed, before its snapshot is saved
+  try {
+    await assertValidMetadata({ metadata: newMetadata });
+  } catch (error) {
+    if (!(error instanceof MetadataValidationError)) throw error;
+    logger.error(`${dataObject.filename} metadata will not be updated: ${error.message}`);
+    report?.push({ filename: dataObject.filename, status: 'failed', message: error.message });
+    return 'failed';
+  }
+
+  // Add the proposed changes to the report instead of modifying the metadata in a dry run
+  if (config.DRY_RUN) {
+    report?.push({
+      filename: dataObject.filename,
+      downloadLink: fileMetadata.DownloadLink,
+      status: 'update',
+      changes: getMetadataChanges({ currentMetadata: fileMetadata, newMetadata }),
+    });
+    logger.info(`Dry run: ${dataObject.filename} metadata would be modified`);
+    return 'proposed';
+  }
+
+  if (snapshots) {
+    await saveSnapshot({
+      store: snapshots,
+      filename: dataObject.filename,
+      downloadLink: lookup.downloadLink,
+      metadata: fileMetadata,
+    });
+  }
+  const editMetadataResponse = await postFileMetadata({ newMetadata });
   if (editMetadataResponse === 202) {
     logger.info(`${dataObject.filename} metadata modified successfully`);
-  } else {
-    logger.error(`Failed to modify metadata for ${dataObject.filename}`);
+    return 'updated';
   }
+  logger.error(`Failed to modify metadata for ${dataObject.filename}`);
+  return 'failed';
+}
+
+/**
+ * Compare the current and the new metadata of a file
+ * @function getMetadataChanges
+ * @memberof empolisOps
+ * @param {object} currentMetadata - current metadata of the file
+ * @param {object} newMetadata - new metadata of the file
+ * @returns {Array<Object>} attribute, current value and proposed value for each changed attribute
+ */
+export function getMetadataChanges({ currentMetadata, newMetadata }) {
+  return [...new Set([...Object.keys(currentMetadata), ...Object.keys(newMetadata)])]
+    .filter(
+      (attribute) =>
+        JSON.stringify(currentMetadata[attribute]) !== JSON.stringify(newMetadata[attribute])
+    )
+    .map((attribute) => ({
+      attribute,
+      current: currentMetadata[attribute] ?? null,
+      proposed: newMetadata[attribute],
+    }));
 }
 
 /**
  * Function to edit the metadata Title of a specific file using the Empolis INGEST API. The metadata is changed in the STORE and the INDEX is updated.
  * <br>See ['Edit Metadata' documentation]{@link https://esc-eu-central-1.empolisservices.com/doc/api/ingest/#tag/Metadata/operation/IngestMetadataProjectTypeProjectNamePost}.
  * <br>IMPORTANT NOTE: file metadata is completely overwritten by this function (update is not incremental). Therefore, first getFileMetadata(), extract the response, modify as needed, and then editFileMetadata().
+ * <br>The metadata is validated against the index schema before it is posted (see validateMetadata()).
  * @async
  * @function editFileMetadata
  * @memberof empolisOps
  * @param {object} newMetadata - new metadata for the specified file
- * @returns {Promise<JSON>} API request response body
- * @requires got
+ * @returns {Promise<number>} API response status code (202 if the update was accepted)
+ * @throws {Error} if the metadata does not contain 'FilePath'
+ * @throws {MetadataValidationError} if the metadata does not match the index schema
+ * @throws {EmpolisApiError|EmpolisNetworkError} if the update request fails
+ * @requires empolis_client
+ * @requires schema
  */
 
 export async function editFileMetadata({ newMetadata }) {
   logger.debug(`editFileMetadata() started`);
-  const config = getConfig();
 
+  try {
+    await assertValidMetadata({ metadata: newMetadata });
+  } catch (error) {
+    logger.error(`editFileMetadata() Error:\n${error}`);
+    throw error;
+  }
+  return postFileMetadata({ newMetadata });
+}
+
+/**
+ * Post the metadata of a file to the Empolis INGEST API without validating it against the index schema
+ * <br>Only for metadata already validated with assertValidMetadata(), e.g. before its snapshot is saved. Otherwise,
+ * use editFileMetadata().
+ * @async
+ * @function postFileMetadata
+ * @memberof empolisOps
+ * @param {object} newMetadata - new metadata for the specified file
+ * @returns {Promise<number>} API response status code (202 if the update was accepted)
+ * @throws {Error} if the metadata does not contain 'FilePath'
+ * @throws {EmpolisApiError|EmpolisNetworkError} if the update request fails
+ * @requires empolis_client
+ */
+export async function postFileMetadata({ newMetadata }) {
   if (!newMetadata?.FilePath?.length) {
+    logger.error(
+      "postFileMetadata() Error: the 'newMetadata' object must contain a 'FilePath' property to use the edit metadata API from the Empolis INGEST service"
+    );
     throw new Error(FILE_PATH_ERROR);
   }
 
-  const API_TOKEN = await getToken();
-
-  // Define got() request options
-  const url = `${config.BASE_URL}/api/ingest/${config.INGEST_API_VERSION}/metadata/environment/project1_p`;
-  const headers = {
-    Authorization: `Bearer ${API_TOKEN}`,
-    'Content-Type': 'application/json',
-  };
-  const body = JSON.stringify(newMetadata);
-  const options = { headers, body };
-
   try {
     // Make update request to Empolis API
-    const response = await got.post(url, options);
-    logResponse(response, 'editFileMetadata() got.post response');
+    const response = await empolisRequest({
+      method: 'POST',
+      service: 'ingest',
+      endpoint: 'metadata/environment/project1_p',
+      json: newMetadata,
+      logTitle: 'postFileMetadata() response',
+    });
 
     // Return the response statusCode
     return response.statusCode;
   } catch (error) {
-    if (error.message === FILE_PATH_ERROR) {
-      logger.error(
-        "editFileMetadata() Error: the 'newMetadata' object must contain a 'FilePath' property to use the edit metadata API from the Empolis INGEST service"
-      );
-    } else {
-      console.error(`editFileMetadata() Error:\n${error}`);
-      logger.error(`editFileMetadata() Error:\n${error}`);
-    }
+    logger.error(`postFileMetadata() Error:\n${error}`);
+    throw error;
   }
 }
 
@@ -1,11 +1,10 @@
 // Imports
-import got from 'got';
 import chalk from 'chalk';
 import util from 'util';
+import path from 'node:path';
 import logger from './logger.js';
-import { logResponse } from './logger.js';
 import { getConfig } from './config.js';
-import { getToken } from './empolis_admin.js';
+import { empolisRequest } from './empolis_client.js';
 import { getFileMetadata } from './empolis_ops.js';
 
 /**
@@ -15,12 +14,14 @@ import { getFileMetadata } from './empolis_ops.js';
 
 /**
  * Search the Empolis data source specified in the config for a specific file and return the metadata if existing.
+ * <br>The file is looked up by its exact 'DownloadLink' in the selected data source (see lookupFile()).
  * @async
  * @function fileSearch
  * @memberof empolisSearch
- * @param {string} searchTerm - search term (should be filename with extension)
+ * @param {string} searchTerm - search term (path of the file relative to the data source directory, e.g.
+ * 'chapter1/intro.htm', or filename with extension for files in the top folder)
  * @param {boolean} [consoleOutput = false] - flag to enable console output
- * @returns {Promise<JSON>} file metadata
+ * @returns {Promise<JSON>} file metadata, null if the file is not found or the lookup is ambiguous
  * @requires empolis_admin
  * @requires empolis_ops
  * @requires chalk
@@ -28,33 +29,13 @@ import { getFileMetadata } from './empolis_ops.js';
 export async function fileSearch({ searchTerm, consoleOutput = false }) {
   logger.debug(`fileSearch() started`);
   try {
-    // Define search query
-    /*const vfq = {
-      attribute: 'DownloadLink',
-      value: `${config.DATA_SOURCE}/${searchTerm}`,
-    };*/
-    const nlq = {
-      attribute: 'FileName',
-      nlq: searchTerm,
-    };
-    // Define search query parameters
-    const queryParameters = {
-      maxCount: 1,
-      resultAttributes: ['Title', 'FileName', 'DownloadLink'],
-    };
-    // Search the Empolis index for the specified file
-    const searchResults = await indexSearch({
-      queryObject: nlq,
-      queryParameters,
-    });
-    // If search results are found, return the metadata
-    if (searchResults?.records?.length) {
+    const lookup = await lookupFile({ filename: searchTerm });
+    // If exactly one matching record is found, return the metadata
+    if (lookup.status === 'found') {
       if (consoleOutput) {
         console.log(`${chalk.green('√')}` + ` ${chalk.cyan(searchTerm)} file found in the index.`);
       }
-      const firstResult = searchResults.records[0];
-      const downloadLink = firstResult.DownloadLink;
-      const fileMetadata = await getFileMetadata({ path: downloadLink });
+      const fileMetadata = await getFileMetadata({ path: lookup.downloadLink });
       if (consoleOutput) {
         console.log(
           `\n` +
@@ -65,15 +46,15 @@ export async function fileSearch({ searchTerm, consoleOutput = false }) {
         );
       }
       return fileMetadata;
-      // If no search results are found, log a message and return null
+      // If no or several matching records are found, log a message and return null
     } else {
       if (consoleOutput) {
-        console.log(
-          `${chalk.red('X')}` +
-            ` No search results for '${chalk.cyan(searchTerm)}' file in the index.`
-        );
+        console.log(`${chalk.red('X')} ${lookup.message}`);
+        for (const record of lookup.records) {
+          console.log(`    ${chalk.cyan(record.DownloadLink)}`);
+        }
       }
-      logger.info(`No search results for '${searchTerm}' file in the index.`);
+      logger.info(lookup.message);
       return null;
     }
   } catch (error) {
@@ -82,6 +63,208 @@ export async function fileSearch({ searchTerm, consoleOutput = false }) {
   }
 }
 
+/**
+ * Look up a file of the selected data source in the Empolis index by its exact 'DownloadLink'.
+ * <br>The 'DownloadLink' is built from the storage location of the data source (DATA_SOURCE) and the relative path of
+ * the file. As the 'DownloadLink' identifies the document, at most one document matches: records of the same document
+ * (e.g. split pages) count as one match. The lookup is 'ambiguous' if the 'FileName' of the matching record does not
+ * match the name of the file.
+ * @async
+ * @function lookupFile
+ * @memberof empolisSearch
+ * @param {string} filename - path of the file relative to the data source directory ('/' or '\\' as separator)
+ * @returns {Promise<Object>} lookup result with 'status' ('found', 'not_found' or 'ambiguous'), 'downloadLink',
+ * matching 'records', and a 'message' describing the result
+ * @requires empolis_admin
+ */
+export async function lookupFile({ filename }) {
+  logger.debug(`lookupFile(${filename}) started`);
+  const config = getConfig();
+  if (!config.DATA_SOURCE) throw new Error('No data source selected');
+
+  const downloadLink = buildDownloadLink({ dataSource: config.DATA_SOURCE, filename });
+  const vfq = {
+    attribute: 'DownloadLink',
+    value: downloadLink,
+  };
+  // The value filter may also return similar links, only exact matches are accepted below
+  const queryParameters = {
+    maxCount: 10,
+    resultAttributes: ['Title', 'FileName', 'DownloadLink'],
+  };
+  const searchResults = await indexSearch({ queryObject: vfq, queryParameters });
+
+  // Split pages of a document are separate records with the same 'DownloadLink', the document is counted once
+  const records = (searchResults.records ?? [])
+    .filter((record) => record.DownloadLink === downloadLink)
+    .slice(0, 1);
+
+  if (records.length === 0) {
+    return {
+      status: 'not_found',
+      downloadLink,
+      records,
+      message: `No record for '${filename}' found in data source '${config.dataSourceSelection}'`,
+    };
+  }
+  const recordFilename = stripHighlights(records[0].FileName ?? '');
+  const basename = path.posix.basename(toPosixPath(filename));
+  if (recordFilename.toLowerCase() !== basename.toLowerCase()) {
+    return {
+      status: 'ambiguous',
+      downloadLink,
+      records,
+      message: `FileName '${recordFilename}' of the record does not match '${basename}'`,
+    };
+  }
+  return {
+    status: 'found',
+    downloadLink,
+    records,
+    message: `'${filename}' found in data source '${config.dataSourceSelection}'`,
+  };
+}
+
+/**
+ * Build the 'DownloadLink' of a file from the storage location of the data source and the relative path of the file.
+ * <br>Each folder and the filename are URL encoded separately, the folders are separated by '/'.
+ * @function buildDownloadLink
+ * @memberof empolisSearch
+ * @param {string} dataSource - storage location of the data source in Empolis (URL encoded)
+ * @param {string} filename - path of the file relative to the data source directory ('/' or '\\' as separator)
+ * @returns {string} 'DownloadLink' of the file
+ */
+export function buildDownloadLink({ dataSource, filename }) {
+  const encodedPath = toPosixPath(filename)
+    .split('/')
+    .filter(Boolean)
+    .map(encodeURIComponent)
+    .join('/');
+  return `${dataSource.replace(/\/+$/, '')}/${encodedPath}`;
+}
+
+/**
+ * Convert a relative path to '/' as separator
+ * @function toPosixPath
+ * @memberof empolisSearch
+ * @private
+ * @param {string} filePath - relative path with '/' or '\\' as separator
+ * @returns {string} relative path with '/' as separator
+ */
+function toPosixPath(filePath) {
+  return filePath.replace(/\\/g, '/');
+}
+
+/**
+ * Remove the search hit highlighting (&lt;hit&gt; tags) from a search result value
+ * @function stripHighlights
+ * @memberof empolisSearch
+ * @param {string} value - search result value
+ * @returns {string} value without highlighting
+ */
+export function stripHighlights(value) {
+  return value.replace(/<\/?hit>/g, '');
+}
+
+/**
+ * Search the Empolis index page by page and return all matching records.
+ * <br>The pages are requested with 'offset' and 'maxCount' until all records reported by the search
+ * ('numberOfTotalRecords') or 'maxRecords' records are read, or a page returns no records. The next page starts after
+ * the records read so far, so a service limit below 'pageSize' does not drop records. A warning is logged and printed if
+ * fewer records than reported could be read.
+ * @async
+ * @function searchAllRecords
+ * @memberof empolisSearch
+ * @param {object} queryObject - search query object (see indexSearch())
+ * @param {Array<string>} resultAttributes - attributes to return for each record
+ * @param {number} [pageSize=100] - number of records per request
+ * @param {Object} [queryParameters] - additional search parameters
+ * @param {number} [maxRecords=Infinity] - maximum number of records to read
+ * @returns {Promise<Array<Object>>} all matching records (the first 'maxRecords' records)
+ * @throws {EmpolisApiError|EmpolisNetworkError} if a search request fails
+ */
+export async function searchAllRecords({
+  queryObject,
+  resultAttributes,
+  pageSize = 100,
+  queryParameters = {},
+  maxRecords = Infinity,
+}) {
+  const records = [];
+  let expected = maxRecords;
+  while (records.length < expected) {
+    const searchResults = await indexSearch({
+      queryObject,
+      queryParameters: {
+        ...queryParameters,
+        resultAttributes,
+        offset: records.length,
+        maxCount: Math.min(pageSize, expected - records.length),
+      },
+    });
+    const page = searchResults.records ?? [];
+    if (typeof searchResults.numberOfTotalRecords === 'number') {
+      expected = Math.min(searchResults.numberOfTotalRecords, maxRecords);
+    }
+    if (page.length === 0) break;
+    records.push(...page);
+    logger.debug(
+      `searchAllRecords(): ${records.length} of ${searchResults.numberOfTotalRecords ?? '?'} records`
+    );
+  }
+  if (Number.isFinite(expected) && records.length < expected) {
+    const message = `Only ${records.length} of ${expected} records could be read from the search results`;
+    logger.warn(message);
+    console.log(`  ${chalk.yellow('!')} ${message}`);
+  }
+  return records.slice(0, maxRecords);
+}
+
+/**
+ * Get all records of the selected data source from the Empolis index.
+ * <br>The records are requested by the storage id of the data source ('Source' attribute) and limited to the storage
+ * location DATA_SOURCE. Records of the same document (e.g. split pages) are returned once.
+ * @async
+ * @function searchDataSourceRecords
+ * @memberof empolisSearch
+ * @param {Array<string>} resultAttributes - attributes to return for each record ('DownloadLink' is always returned)
+ * @returns {Promise<Array<Object>>} one record per document of the data source
+ * @throws {EmpolisApiError|EmpolisNetworkError} if a search request fails
+ */
+export async function searchDataSourceRecords({ resultAttributes }) {
+  const config = getConfig();
+  if (!config.DATA_SOURCE) throw new Error('No data source selected');
+  const locationPrefix = `${config.DATA_SOURCE.replace(/\/+$/, '')}/`.toLowerCase();
+  const records = await searchAllRecords({
+    queryObject: { attribute: 'Source', value: getSourceId(config.DATA_SOURCE) },
+    resultAttributes: [...new Set(['DownloadLink', ...resultAttributes])],
+    pageSize: config.SEARCH_PAGE_SIZE ?? 100,
+  });
+  const documents = new Map();
+  for (const record of records) {
+    const key = record.DownloadLink?.toLowerCase();
+    if (key?.startsWith(locationPrefix) && !documents.has(key)) documents.set(key, record);
+  }
+  logger.info(
+    `${documents.size} documents (${records.length} records) found in data source '${config.dataSourceSelection}'`
+  );
+  return [...documents.values()];
+}
+
+/**
+ * Get the storage id of a data source ('Source' attribute in Empolis) from its storage location
+ * @function getSourceId
+ * @memberof empolisSearch
+ * @param {string} dataSource - storage location of the data source (e.g. 'environment/project1_p/documents/1719926565798/...')
+ * @returns {string} storage id of the data source (e.g. '1719926565798')
+ * @throws {Error} if the storage location contains no storage id
+ */
+export function getSourceId(dataSource) {
+  const match = dataSource.match(/\/documents\/([^/]+)/);
+  if (!match) throw new Error(`No source id found in data source location '${dataSource}'`);
+  return match[1];
+}
+
 /**
  * Function to search the Empolis index.
  * <br>See [index search reference documentation]{@link https://yaskawa2.esc-eu-central-1.empolisservices.com/doc/en/search/request}.
@@ -91,33 +274,28 @@ export async function fileSearch({ searchTerm, consoleOutput = false }) {
  * @param {object} queryObject - search [query object]{@Link https://yaskawa2.esc-eu-central-1.empolisservices.com/doc/en/search/lines}
  * @param {object} queryParameters - search [query parameters]{@Link https://yaskawa2.esc-eu-central-1.empolisservices.com/doc/api/ias/index.html#tag/Search/operation/IasIndexIndexNameSearchPost}
  * @returns {Promise<JSON>} search results
- * @requires got
- * @requires empolis_admin
+ * @throws {EmpolisApiError|EmpolisNetworkError} if the search request fails
+ * @requires empolis_client
  */
 export async function indexSearch({ queryObject, queryParameters }) {
   logger.debug(`indexSearch() started`);
-  const config = getConfig();
   try {
-    const API_TOKEN = await getToken();
-    // Define got() request options
-    const url = `${config.BASE_URL}/api/ias/${config.IAS_API_VERSION}/index/project1_p/search`;
-    const headers = {
-      Authorization: `Bearer ${API_TOKEN}`,
-      'Content-Type': 'application/json',
-    };
     const data = {
       query: queryObject,
       ...queryParameters,
     };
-    const body = JSON.stringify(data);
-    const options = { headers, body };
     // Make index search request to Empolis API
-    const response = await got.post(url, options);
-    logResponse(response, 'indexSearch() got.post response');
+    const response = await empolisRequest({
+      method: 'POST',
+      service: 'ias',
+      endpoint: 'index/project1_p/search',
+      json: data,
+      logTitle: 'indexSearch() response',
+    });
 
-    return JSON.parse(response.body);
+    return response.body;
   } catch (error) {
-    console.error(`indexSearch() Error:\n${error}`);
     logger.error(`indexSearch() Error:\n${error}`);
+    throw error;
   }
 }
@@ -0,0 +1,62 @@
+/**
+ * Namespace for the error classes of the application
+ * @namespace errors
+ */
+
+/**
+ * Error returned by an Empolis API (HTTP status code outside of the 2xx range)
+ * @class EmpolisApiError
+ * @memberof errors
+ * @extends Error
+ * @property {number} statusCode - HTTP status code of the response
+ * @property {*} body - response body (parsed as JSON if possible), contains the Empolis error details
+ * @property {string} method - HTTP method of the request
+ * @property {string} url - URL of the request
+ */
+export class EmpolisApiError extends Error {
+  constructor({ statusCode, body, method, url }) {
+    const details = typeof body === 'string' ? body : JSON.stringify(body);
+    super(`${method} ${url} failed with status ${statusCode}${details ? `: ${details}` : ''}`);
+    this.name = 'EmpolisApiError';
+    this.statusCode = statusCode;
+    this.body = body;
+    this.method = method;
+    this.url = url;
+  }
+}
+
+/**
+ * Error raised when an Empolis API cannot be reached (e.g. connection reset, timeout, DNS failure)
+ * @class EmpolisNetworkError
+ * @memberof errors
+ * @extends Error
+ * @property {string} code - error code of the underlying request error (e.g. 'ETIMEDOUT')
+ * @property {string} method - HTTP method of the request
+ * @property {string} url - URL of the request
+ */
+export class EmpolisNetworkError extends Error {
+  constructor({ cause, method, url }) {
+    super(`${method} ${url} failed: ${cause.message}`, { cause });
+    this.name = 'EmpolisNetworkError';
+    this.code = cause.code;
+    this.method = method;
+    this.url = url;
+  }
+}
+
+/**
+ * Error raised when metadata does not match the Empolis index schema (see validateMetadata())
+ * @class MetadataValidationError
+ * @memberof errors
+ * @extends Error
+ * @property {string} filePath - 'FilePath' of the metadata
+ * @property {Array<string>} errors - validation error of each invalid attribute
+ */
+export class MetadataValidationError extends Error {
+  constructor({ filePath, errors }) {
+    super(`Invalid metadata${filePath ? ` for ${filePath}` : ''}: ${errors.join('; ')}`);
+    this.name = 'MetadataValidationError';
+    this.filePath = filePath;
+    this.errors = errors;
+  }
+}
@@ -0,0 +1,166 @@
+// Imports
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import chalk from 'chalk';
+import logger from './logger.js';
+import { getConfig } from './config.js';
+import { toCsv } from './helpers.js';
+import { searchDataSourceRecords, stripHighlights } from './empolis_search.js';
+
+/**
+ * Namespace for all elements related to the export of the index records of a data source
+ * @namespace export
+ */
+
+/**
+ * Attributes exported if EXPORT_ATTRIBUTES is not configured
+ * @type {Array<string>}
+ * @memberof export
+ * @private
+ */
+const DEFAULT_EXPORT_ATTRIBUTES = [
+  'FileName',
+  'Title',
+  'Keywords_txt',
+  'Category',
+  'product',
+  'doctype',
+  'ese_VisibilityLevel',
+  'skilllevel',
+  'ModificationDate',
+  'esc_CreationDate',
+  'DownloadLink',
+];
+
+/**
+ * Separator of the levels of taxonomy paths in Empolis
+ * @type {string}
+ * @memberof export
+ * @private
+ */
+const TAXONOMY_SEPARATOR = '\u001F';
+
+/**
+ * Export the records of the selected data source from the Empolis index to a CSV or JSON file.
+ * <br>The records are read page by page (see searchDataSourceRecords()), one row per document. The values are
+ * flattened to readable columns (see flattenRecord()).
+ * @async
+ * @function exportRecords
+ * @memberof export
+ * @param {string} indexFile - path of the index file of the data source (default location of the export file)
+ * @param {string} [format='csv'] - 'csv' or 'json'
+ * @param {Array<string>} [attributes] - attributes to export (default: EXPORT_ATTRIBUTES in the config)
+ * @param {string} [outputFile] - path of the export file (default: 'export_&lt;source&gt;_&lt;timestamp&gt;' next to
+ * the index file)
+ * @returns {Promise<Object>} number of exported records and path of the export file
+ * @throws {Error} if the format is not supported
+ * @requires empolis_search
+ */
+export async function exportRecords({
+  indexFile,
+  format = 'csv',
+  attributes = [],
+  outputFile = null,
+}) {
+  logger.debug(`exportRecords() started`);
+  const config = getConfig();
+  const exportFormat = format.toLowerCase();
+  if (!['csv', 'json'].includes(exportFormat)) {
+    throw new Error(`Unsupported export format '${format}', use 'csv' or 'json'`);
+  }
+  const resultAttributes =
+    attributes.length > 0 ? attributes : (config.EXPORT_ATTRIBUTES ?? DEFAULT_EXPORT_ATTRIBUTES);
+
+  console.log(
+    `  Exporting the records of '${config.dataSourceSelection}' with ${chalk.cyan(resultAttributes.length)}` +
+      ` attributes...`
+  );
+  const records = await searchDataSourceRecords({ resultAttributes });
+  const rows = records.map((record) => flattenRecord(record, resultAttributes));
+  // Columns in the order of the attributes, followed by the language columns of localized attributes
+  const columns = [...new Set([...resultAttributes, ...rows.flatMap((row) => Object.keys(row))])];
+
+  const exportFile =
+    outputFile ??
+    path.join(
+      path.dirname(indexFile),
+      `export_${config.dataSourceSelection}_${new Date().toISOString().replace(/[:.]/g, '-')}.${exportFormat}`
+    );
+  await fs.mkdir(path.dirname(exportFile), { recursive: true });
+  await fs.writeFile(
+    exportFile,
+    exportFormat === 'csv'
+      ? toCsv(rows, columns, config.CSV_DELIMITER ?? ',')
+      : JSON.stringify(rows, null, 2)
+  );
+
+  console.log(
+    `${chalk.green('√')} ${chalk.cyan(rows.length)} records of '${config.dataSourceSelection}' exported to` +
+      ` ${chalk.cyan(exportFile)}`
+  );
+  logger.info(
+    `${rows.length} records of '${config.dataSourceSelection}' exported to ${exportFile}`
+  );
+  return { count: rows.length, exportFile };
+}
+
+/**
+ * Flatten an index record to readable column values.
+ * <br>- Search hit highlighting is removed.
+ * <br>- Taxonomy paths ('\u001F'-separated levels) are written as 'Level 1 > Level 2'. Of multi-value taxonomy
+ * attributes, only the most specific paths are kept (the parent paths listed by Empolis are dropped).
+ * <br>- Multi-value attributes are joined with '; '.
+ * <br>- Localized values ({ de, en, value }) are written as the value, with additional columns per language
+ * (e.g. 'Category (de)').
+ * @function flattenRecord
+ * @memberof export
+ * @param {Object} record - index record
+ * @param {Array<string>} attributes - attributes to flatten
+ * @returns {Object} flattened values by column
+ */
+export function flattenRecord(record, attributes) {
+  const row = {};
+  for (const attribute of attributes) {
+    const value = record[attribute];
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      // Localized value: one column for the value and one per language
+      row[attribute] = flattenValue(value.value ?? value.en ?? Object.values(value)[0]);
+      for (const [language, localizedValue] of Object.entries(value)) {
+        if (language !== 'value') row[`${attribute} (${language})`] = flattenValue(localizedValue);
+      }
+    } else {
+      row[attribute] = flattenValue(value);
+    }
+  }
+  return row;
+}
+
+/**
+ * Flatten a single or multi-value attribute value
+ * @function flattenValue
+ * @memberof export
+ * @private
+ * @param {*} value - attribute value
+ * @returns {string|number|boolean|null} readable value
+ */
+function flattenValue(value) {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) {
+    const values = value.map((item) => (typeof item === 'string' ? stripHighlights(item) : item));
+    // Drop taxonomy paths that are parents of other paths of the attribute
+    const leafValues = values.filter(
+      (item) =>
+        typeof item !== 'string' ||
+        !values.some(
+          (other) => typeof other === 'string' && other.startsWith(`${item}${TAXONOMY_SEPARATOR}`)
+        )
+    );
+    return leafValues.map(flattenValue).join('; ');
+  }
+  // Localized values of multi-value attributes
+  if (typeof value === 'object') {
+    return flattenValue(value.value ?? value.en ?? JSON.stringify(value));
+  }
+  if (typeof value !== 'string') return value;
+  return stripHighlights(value).split(TAXONOMY_SEPARATOR).join(' > ');
+}
@@ -0,0 +1,357 @@
+// Imports
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import * as cheerio from 'cheerio';
+import JSZip from 'jszip';
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+import logger from './logger.js';
+
+/**
+ * Namespace for the metadata extractors, which read the title, breadcrumbs and further fields from the source files
+ * <br>An extractor is an object with a 'description' and an async 'extract({ filePath, content, settings })'
+ * function, which returns the extracted fields: 'title', and optionally 'breadcrumbs', 'description', 'headings',
+ * 'version', 'subject', 'keywords', 'author' and 'documentNumbers'. 'content' is the file content as Buffer, 'settings'
+ * are the EXTRACTOR settings of the data source.
+ * <br>PDF and DOCX files are read by the document extractors registered for their file type. For all other files,
+ * each data source selects an extractor with EXTRACTOR.TYPE, or loads its own extractor module with EXTRACTOR.MODULE
+ * (default export).
+ * @namespace extractors
+ */
+
+/**
+ * Default settings of the extractor for WebWorks ePublisher help files
+ * @type {Object}
+ * @memberof extractors
+ * @private
+ */
+const WEBWORKS_DEFAULTS = {
+  TITLE_SELECTORS: ['title', '.Heading_2'],
+  BREADCRUMBS_SELECTOR: '.WebWorks_Breadcrumbs',
+  BREADCRUMBS_SEPARATOR: '>',
+  DESCRIPTION_SELECTOR: 'meta[name="description"]',
+  HEADINGS_SELECTOR: '.Heading_2, .Heading_3',
+};
+
+/**
+ * Default settings of the extractor for HTML files with configurable selectors
+ * @type {Object}
+ * @memberof extractors
+ * @private
+ */
+const HTML_DEFAULTS = {
+  TITLE_SELECTORS: ['title', 'h1'],
+  DESCRIPTION_SELECTOR: 'meta[name="description"]',
+  HEADINGS_SELECTOR: 'h1, h2, h3',
+};
+
+/**
+ * Default regular expression for document numbers in PDF and DOCX files (e.g. 'SIEP C710617 13B')
+ * @type {string}
+ * @memberof extractors
+ * @private
+ */
+const DEFAULT_DOCUMENT_NUMBER_PATTERN = '\\b(?:SIE|TOE)[PJ] ?[A-Z]\\d{6} ?\\d{2}[A-Z]?\\b';
+
+/**
+ * Maximum number of headings taken from the first page of PDF and DOCX files
+ * @type {number}
+ * @memberof extractors
+ * @private
+ */
+const MAX_FIRST_PAGE_HEADINGS = 5;
+
+/**
+ * Registered extractors by type
+ * @type {Map<string, Object>}
+ * @memberof extractors
+ * @private
+ */
+const extractorRegistry = new Map();
+
+/**
+ * Registered document extractors by file extension (e.g. '.pdf')
+ * @type {Map<string, Object>}
+ * @memberof extractors
+ * @private
+ */
+const fileTypeRegistry = new Map();
+
+/**
+ * Register an extractor, so that data sources can select it with EXTRACTOR.TYPE
+ * <br>If the extractor lists 'fileTypes' (e.g. ['.pdf']), it is used for all files of these types, regardless of
+ * EXTRACTOR.TYPE.
+ * @function registerExtractor
+ * @memberof extractors
+ * @param {string} type - type of the extractor (case-insensitive)
+ * @param {Object} extractor - extractor with 'description', async 'extract({ filePath, content, settings })', and
+ * optional 'fileTypes'
+ * @throws {Error} if the extractor has no 'extract' function
+ */
+export function registerExtractor(type, extractor) {
+  if (typeof extractor?.extract !== 'function') {
+    throw new Error(`Extractor '${type}' has no extract() function`);
+  }
+  extractorRegistry.set(type.toLowerCase(), extractor);
+  for (const fileType of extractor.fileTypes ?? []) {
+    fileTypeRegistry.set(fileType.toLowerCase(), extractor);
+  }
+  logger.debug(`Extractor '${type}' registered`);
+}
+
+/**
+ * Get the extractor for a file of a data source
+ * <br>Files with a registered document type (PDF, DOCX) are read by the document extractor. Otherwise,
+ * EXTRACTOR.MODULE (path of a JavaScript module relative to the working directory) takes precedence over
+ * EXTRACTOR.TYPE. Without both settings, the WebWorks extractor is used.
+ * @async
+ * @function getExtractor
+ * @memberof extractors
+ * @param {Object} [settings] - extractor settings of the data source (EXTRACTOR in DATA_SOURCES)
+ * @param {string} [filePath] - path of the file to extract the metadata from
+ * @returns {Promise<Object>} extractor
+ * @throws {Error} if the extractor type is unknown, or the extractor module has no valid default export
+ */
+export async function getExtractor({ settings = {}, filePath = '' } = {}) {
+  const documentExtractor = fileTypeRegistry.get(path.extname(filePath).toLowerCase());
+  if (documentExtractor) return documentExtractor;
+  if (settings?.MODULE) {
+    const modulePath = pathToFileURL(path.resolve(settings.MODULE)).href;
+    const { default: extractor } = await import(modulePath);
+    if (typeof extractor?.extract !== 'function') {
+      throw new Error(`Extractor module '${settings.MODULE}' has no default export with extract()`);
+    }
+    return extractor;
+  }
+  const type = (settings?.TYPE ?? 'webworks').toLowerCase();
+  const extractor = extractorRegistry.get(type);
+  if (!extractor) {
+    throw new Error(
+      `Unknown extractor type '${type}'. Available types: ${[...extractorRegistry.keys()].join(', ')}`
+    );
+  }
+  return extractor;
+}
+
+/**
+ * Extract the metadata fields from HTML content with CSS selectors
+ * <br>The first title selector with a non-empty text is used. For &lt;meta&gt; elements, the 'content' attribute is
+ * used instead of the text. 'VERSION_PATTERN' is a regular expression applied to the text of 'VERSION_SELECTOR',
+ * its first capture group (or the complete match) is used as version.
+ * @function extractWithSelectors
+ * @memberof extractors
+ * @param {string|Buffer} content - HTML content
+ * @param {Object} settings - selectors of the fields
+ * @param {Array<string>} [settings.TITLE_SELECTORS] - CSS selectors for the title
+ * @param {string} [settings.BREADCRUMBS_SELECTOR] - CSS selector for the breadcrumbs
+ * @param {string} [settings.BREADCRUMBS_SEPARATOR='>'] - separator between the breadcrumbs
+ * @param {string} [settings.DESCRIPTION_SELECTOR] - CSS selector for the description
+ * @param {string} [settings.HEADINGS_SELECTOR] - CSS selector for the headings
+ * @param {string} [settings.VERSION_SELECTOR] - CSS selector for the version
+ * @param {string} [settings.VERSION_PATTERN] - regular expression to extract the version from its text
+ * @returns {Object} title ('Untitled' if not found), and breadcrumbs, description, headings and version if found
+ */
+export function extractWithSelectors(content, settings) {
+  const $ = cheerio.load(content.toString());
+  const selectText = (selector) => {
+    if (!selector) return '';
+    const element = $(selector).first();
+    const text = element.is('meta') ? element.attr('content') : element.text();
+    return (text ?? '').replace(/\s+/g, ' ').trim();
+  };
+
+  let title = '';
+  for (const selector of settings.TITLE_SELECTORS ?? []) {
+    title = selectText(selector);
+    if (title) break;
+  }
+
+  const breadcrumbs = settings.BREADCRUMBS_SELECTOR
+    ? $(settings.BREADCRUMBS_SELECTOR)
+        .text()
+        .split(settings.BREADCRUMBS_SEPARATOR ?? '>')
+        .map((crumb) => crumb.trim())
+        .filter(Boolean)
+    : [];
+
+  const headings = settings.HEADINGS_SELECTOR
+    ? [
+        ...new Set(
+          $(settings.HEADINGS_SELECTOR)
+            .map((i, element) => $(element).text().replace(/\s+/g, ' ').trim())
+            .get()
+            .filter(Boolean)
+        ),
+      ]
+    : [];
+
+  let version = selectText(settings.VERSION_SELECTOR);
+  if (version && settings.VERSION_PATTERN) {
+    const match = version.match(new RegExp(settings.VERSION_PATTERN));
+    version = match ? (match[1] ?? match[0]) : '';
+  }
+
+  const description = selectText(settings.DESCRIPTION_SELECTOR);
+  return {
+    title: title || 'Untitled',
+    ...(breadcrumbs.length > 0 && { breadcrumbs }),
+    ...(description && { description }),
+    ...(headings.length > 0 && { headings }),
+    ...(version && { version }),
+  };
+}
+
+/**
+ * Extractor for help files generated by WebWorks ePublisher ('TYPE: webworks')
+ * <br>Title from &lt;title&gt; or '.Heading_2', breadcrumbs from '.WebWorks_Breadcrumbs' separated by '>'. The
+ * defaults can be overridden with the selector settings of extractWithSelectors().
+ * @type {Object}
+ * @memberof extractors
+ */
+export const webWorksExtractor = {
+  description: 'WebWorks ePublisher help files',
+  extract: async ({ content, settings }) =>
+    extractWithSelectors(content, { ...WEBWORKS_DEFAULTS, ...settings }),
+};
+
+/**
+ * Extractor for HTML files with configurable CSS selectors ('TYPE: html')
+ * <br>Title from &lt;title&gt; or the first &lt;h1&gt;, no breadcrumbs unless BREADCRUMBS_SELECTOR is configured.
+ * @type {Object}
+ * @memberof extractors
+ */
+export const htmlExtractor = {
+  description: 'HTML files with configurable CSS selectors',
+  extract: async ({ content, settings }) =>
+    extractWithSelectors(content, { ...HTML_DEFAULTS, ...settings }),
+};
+
+/**
+ * Get the headings and document numbers from the text of the first page of a document
+ * <br>Headings are the first short lines of the page (without trailing period). Document numbers are matched with
+ * DOCUMENT_NUMBER_PATTERN (default: Yaskawa manual numbers such as 'SIEP C710617 13B').
+ * @function getFirstPageFields
+ * @memberof extractors
+ * @private
+ * @param {Array<string>} lines - lines of the first page
+ * @param {Object} settings - extractor settings of the data source
+ * @returns {Object} headings and documentNumbers
+ */
+function getFirstPageFields(lines, settings) {
+  const cleanLines = lines.map((line) => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  const headings = [
+    ...new Set(
+      cleanLines.filter((line) => line.length <= 100 && /\p{L}/u.test(line) && !line.endsWith('.'))
+    ),
+  ].slice(0, MAX_FIRST_PAGE_HEADINGS);
+  const pattern = new RegExp(
+    settings.DOCUMENT_NUMBER_PATTERN ?? DEFAULT_DOCUMENT_NUMBER_PATTERN,
+    'g'
+  );
+  const documentNumbers = [
+    ...new Set(cleanLines.flatMap((line) => line.match(pattern) ?? []).map((n) => n.trim())),
+  ];
+  return { headings, documentNumbers };
+}
+
+/**
+ * Build the extracted fields of a document from its properties and first page
+ * @function buildDocumentFields
+ * @memberof extractors
+ * @private
+ * @param {Object} properties - document properties (title, subject, keywords, author)
+ * @param {Array<string>} firstPageLines - lines of the first page
+ * @param {Object} settings - extractor settings of the data source
+ * @returns {Object} title (document property, first heading, or 'Untitled'), and the fields found
+ */
+function buildDocumentFields(properties, firstPageLines, settings) {
+  const { headings, documentNumbers } = getFirstPageFields(firstPageLines, settings);
+  const clean = (value) => (value ?? '').replace(/\s+/g, ' ').trim();
+  const title = clean(properties.title) || headings[0] || 'Untitled';
+  const subject = clean(properties.subject);
+  const author = clean(properties.author);
+  const keywords = clean(properties.keywords)
+    .split(/[;,]/)
+    .map((keyword) => keyword.trim())
+    .filter(Boolean);
+  return {
+    title,
+    ...(subject && { subject }),
+    ...(keywords.length > 0 && { keywords }),
+    ...(author && { author }),
+    ...(headings.length > 0 && { headings }),
+    ...(documentNumbers.length > 0 && { documentNumbers }),
+  };
+}
+
+/**
+ * Extractor for PDF files
+ * <br>Title, subject, keywords and author from the document properties, headings and document numbers from the
+ * first page. Without a title property, the first heading is used as title.
+ * @type {Object}
+ * @memberof extractors
+ */
+export const pdfExtractor = {
+  description: 'PDF documents',
+  fileTypes: ['.pdf'],
+  extract: async ({ content, settings }) => {
+    // Only the text of the first page is needed. The content is copied to its own Uint8Array, as PDF.js reads the
+    // underlying ArrayBuffer, which is shared by small Buffers.
+    const pdf = await pdfParse(new Uint8Array(content), { max: 1 });
+    const info = pdf.info ?? {};
+    return buildDocumentFields(
+      { title: info.Title, subject: info.Subject, keywords: info.Keywords, author: info.Author },
+      pdf.text.split('\n'),
+      settings
+    );
+  },
+};
+
+/**
+ * Extractor for Word documents (DOCX)
+ * <br>Title, subject, keywords and author from the document properties (docProps/core.xml), headings and document
+ * numbers from the paragraphs before the first page break. Without a title property, the first heading is used as
+ * title.
+ * @type {Object}
+ * @memberof extractors
+ */
+export const docxExtractor = {
+  description: 'Word documents (DOCX)',
+  fileTypes: ['.docx'],
+  extract: async ({ content, settings }) => {
+    const zip = await JSZip.loadAsync(content);
+    const coreXml = (await zip.file('docProps/core.xml')?.async('string')) ?? '';
+    const documentXml = (await zip.file('word/document.xml')?.async('string')) ?? '';
+    const core = cheerio.load(coreXml, { xml: true });
+    const document = cheerio.load(documentXml, { xml: true });
+
+    // Collect the paragraphs until the first page break, heading styles first
+    const headingLines = [];
+    const textLines = [];
+    for (const paragraph of document('w\\:body > w\\:p').toArray()) {
+      const $paragraph = document(paragraph);
+      const text = $paragraph.find('w\\:t').text();
+      const style = $paragraph.find('w\\:pStyle').attr('w:val') ?? '';
+      if (/^(title|heading|überschrift)/iu.test(style)) headingLines.push(text);
+      textLines.push(text);
+      if ($paragraph.find('w\\:br[w\\:type="page"], w\\:lastRenderedPageBreak').length > 0) break;
+    }
+    const fields = buildDocumentFields(
+      {
+        title: core('dc\\:title').text(),
+        subject: core('dc\\:subject').text(),
+        keywords: core('cp\\:keywords').text(),
+        author: core('dc\\:creator').text(),
+      },
+      headingLines.length > 0 ? headingLines : textLines,
+      settings
+    );
+    // Document numbers can also appear in paragraphs without heading style
+    const { documentNumbers } = getFirstPageFields(textLines, settings);
+    return { ...fields, ...(documentNumbers.length > 0 && { documentNumbers }) };
+  },
+};
+
+registerExtractor('webworks', webWorksExtractor);
+registerExtractor('html', htmlExtractor);
+registerExtractor('pdf', pdfExtractor);
+registerExtractor('docx', docxExtractor);
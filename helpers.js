@@ -14,29 +14,109 @@ import logger from './logger.js';
  */
 
 /**
- * Function to get all the filenames with .html or .htm ending from a specified directory.
+ * Folders that are never scanned for source files (generated by the application)
+ * @type {Array<string>}
+ * @memberof fileOperations
+ * @private
+ */
+const DEFAULT_EXCLUDES = ['index/**'];
+
+/**
+ * Function to get all the files with .html or .htm ending (or the configured file types, e.g. .pdf and .docx) from a
+ * specified directory and its subfolders.
+ * <br>The files are returned as paths relative to the directory, using '/' as separator (e.g. 'chapter1/intro.htm').
+ * A file is included if its relative path matches one of the 'include' globs and none of the 'exclude' globs.
+ * Folders matching an 'exclude' glob are not scanned. The generated 'index' folder is always excluded.
  * @async
  * @function getHtmlFiles
  * @memberof fileOperations
- * @param {string} directory - location of the directory to get filenames from
- * @returns {Promise<array>} Array with all .html and .htm filenames, empty if no .html or .htm files found
+ * @param {string} directory - location of the directory to get files from
+ * @param {Array<string>} [fileTypes=['.html', '.htm']] - file extensions to include
+ * @param {Object} [filters] - glob filters applied to the relative paths
+ * @param {Array<string>} [filters.include=['**']] - globs of the files to include
+ * @param {Array<string>} [filters.exclude=[]] - globs of the files and folders to exclude
+ * @returns {Promise<array>} Array with the relative paths of all matching files, sorted alphabetically
+ * @throws {Error} if the directory cannot be read or contains no matching files
+ * @requires globToRegExp
  */
 
-export async function getHtmlFiles(directory) {
+export async function getHtmlFiles(
+  directory,
+  fileTypes = ['.html', '.htm'],
+  { include = ['**'], exclude = [] } = {}
+) {
   try {
-    let files = await fs.readdir(directory);
-    files = files.filter(
-      (file) =>
-        path.extname(file).toLowerCase() === '.html' || path.extname(file).toLowerCase() === '.htm'
-    );
-    if (files.length === 0) throw new Error(`No HTML files found in ${directory}`);
-    return files;
+    const fileFilter = createFileFilter(fileTypes, { include, exclude });
+
+    const files = [];
+    const scanFolder = async (relativeFolder) => {
+      const entries = await fs.readdir(path.join(directory, relativeFolder), {
+        withFileTypes: true,
+      });
+      for (const entry of entries) {
+        const relativePath = relativeFolder ? `${relativeFolder}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          // Skip excluded folders, e.g. 'index' for 'index/**'
+          if (!fileFilter.isExcludedFolder(relativePath)) {
+            await scanFolder(relativePath);
+          }
+        } else if (entry.isFile() && fileFilter.matchesFile(relativePath)) {
+          files.push(relativePath);
+        }
+      }
+    };
+    await scanFolder('');
+
+    if (files.length === 0) {
+      throw new Error(`No files of type ${fileFilter.extensions.join(', ')} found in ${directory}`);
+    }
+    return files.sort();
   } catch (error) {
     logger.error(`getHtmlFiles() Error:\n${error}`);
     throw new Error(`Failed to get HTML files: ${error.message}`);
   }
 }
 
+/**
+ * Create the filter of the source files of a data source, used when the directory is scanned (see getHtmlFiles()) and
+ * when single files change (see watchDataSources()).
+ * @function createFileFilter
+ * @memberof fileOperations
+ * @param {Array<string>} [fileTypes=['.html', '.htm']] - file extensions to include
+ * @param {Object} [filters] - glob filters applied to the relative paths
+ * @param {Array<string>} [filters.include=['**']] - globs of the files to include
+ * @param {Array<string>} [filters.exclude=[]] - globs of the files and folders to exclude
+ * @returns {Object} normalized 'extensions', 'isExcludedFolder(relativePath)' and 'matchesFile(relativePath)'. A file
+ * matches if its extension is included, its relative path matches the globs, and none of its folders is excluded.
+ * @requires globToRegExp
+ */
+export function createFileFilter(
+  fileTypes = ['.html', '.htm'],
+  { include = ['**'], exclude = [] } = {}
+) {
+  const extensions = fileTypes.map((fileType) => `.${fileType.replace(/^\./, '')}`.toLowerCase());
+  const includePatterns = (include?.length ? include : ['**']).map(globToRegExp);
+  const excludePatterns = [...DEFAULT_EXCLUDES, ...(exclude ?? [])].map(globToRegExp);
+  const isExcluded = (relativePath) =>
+    excludePatterns.some((pattern) => pattern.test(relativePath));
+  const isExcludedFolder = (relativePath) =>
+    isExcluded(relativePath) || isExcluded(`${relativePath}/`);
+
+  return {
+    extensions,
+    isExcludedFolder,
+    matchesFile(relativePath) {
+      const folders = relativePath.split('/').slice(0, -1);
+      return (
+        extensions.includes(path.extname(relativePath).toLowerCase()) &&
+        includePatterns.some((pattern) => pattern.test(relativePath)) &&
+        !isExcluded(relativePath) &&
+        !folders.some((_, i) => isExcludedFolder(folders.slice(0, i + 1).join('/')))
+      );
+    },
+  };
+}
+
 /** Check if a file or directory exists
  * @async
  * @function fileExists
@@ -77,6 +157,141 @@ export async function truncateFile(filePath) {
   }
 }
 
+/**
+ * Convert rows to CSV (RFC 4180). Values containing the delimiter, quotes or line breaks are quoted, arrays are
+ * joined with '; ', objects are written as JSON.
+ * @function toCsv
+ * @memberof fileOperations
+ * @param {Array<Object>} rows - rows to convert
+ * @param {Array<string>} columns - keys of the row values, written as header line in this order
+ * @param {string} [delimiter=','] - delimiter between the values (e.g. ';' for Excel with German locale)
+ * @returns {string} CSV content with header line, lines separated by CRLF
+ */
+export function toCsv(rows, columns, delimiter = ',') {
+  const formatValue = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value;
+    if (Array.isArray(value)) text = value.join('; ');
+    else if (typeof value === 'object') text = JSON.stringify(value);
+    text = String(text);
+    return text.includes(delimiter) || /["\r\n]/.test(text)
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+  };
+  const lines = [columns, ...rows.map((row) => columns.map((column) => row[column]))].map(
+    (values) => values.map(formatValue).join(delimiter)
+  );
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Parse CSV content (RFC 4180) into rows of values. Quoted values may contain delimiters, quotes ('""') and line
+ * breaks. A byte order mark at the beginning is removed.
+ * @function parseCsv
+ * @memberof fileOperations
+ * @param {string} content - CSV content
+ * @param {string} [delimiter] - delimiter between the values, detected from the first line (',' or ';') if not set
+ * @returns {Array<Object>} line number where the row starts (1-based) and values of each row, empty lines are skipped
+ */
+export function parseCsv(content, delimiter = null) {
+  const text = content.replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const separator =
+    delimiter ??
+    ((firstLine.match(/;/g) ?? []).length > (firstLine.match(/,/g) ?? []).length ? ';' : ',');
+
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+  // Line breaks in quoted values are counted, so that the line numbers match a text editor
+  let line = 1;
+  let rowLine = 1;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(value);
+      if (row.some((item) => item !== '')) rows.push({ line: rowLine, values: row });
+      row = [];
+      value = '';
+      line++;
+      rowLine = line;
+    } else {
+      value += char;
+    }
+  }
+  row.push(value);
+  if (row.some((item) => item !== '')) rows.push({ line: rowLine, values: row });
+  return rows;
+}
+
+/**
+ * Check if a file is located in a folder or one of its subfolders (case-insensitive)
+ * @function isInFolder
+ * @memberof fileOperations
+ * @param {string} filePath - path of the file relative to the data source directory
+ * @param {string} folder - folder relative to the data source directory, using '/' or '\\' as path separator
+ * @returns {boolean} TRUE if the file is located in the folder
+ */
+export function isInFolder(filePath, folder) {
+  const fileFolder = path.posix.dirname(filePath.split(path.sep).join('/')).toLowerCase();
+  const normalizedFolder = folder
+    .split('\\')
+    .join('/')
+    .replace(/^\/+|\/+$/g, '')
+    .toLowerCase();
+  return fileFolder === normalizedFolder || fileFolder.startsWith(`${normalizedFolder}/`);
+}
+
+/**
+ * Convert a glob pattern to a regular expression.
+ * <br>Supports '**' (any number of path segments), '*' (any characters except '/') and '?' (single character).
+ * Matching is case-insensitive, as the data sources are located on Windows file systems.
+ * @function globToRegExp
+ * @memberof fileOperations
+ * @param {string} pattern - glob pattern, using '/' as path separator
+ * @returns {RegExp} regular expression matching the complete path
+ */
+export function globToRegExp(pattern) {
+  let regex = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // '**/' matches zero or more directories, a trailing '**' matches everything
+      if (pattern[i + 2] === '/') {
+        regex += '(?:.*/)?';
+        i += 2;
+      } else {
+        regex += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      regex += '[^/]*';
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else {
+      regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${regex}$`, 'i');
+}
+
 /**
  * Read JSON data from a file, parse it, and return the data.
  * @async
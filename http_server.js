@@ -0,0 +1,545 @@
+// Imports
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { Writable } from 'node:stream';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import winston from 'winston';
+import chalk from 'chalk';
+import logger from './logger.js';
+import {
+  applyDataSource,
+  findDataSource,
+  getConfig,
+  getDataSources,
+  runWithConfig,
+} from './config.js';
+import { checkApiStatus } from './empolis_admin.js';
+import { fileSearch } from './empolis_search.js';
+import { updateCloudMetadata } from './empolis_ops.js';
+import { createUpdateIndexFile } from './index_creation.js';
+
+/**
+ * Namespace for all elements related to the HTTP service (status, file lookup and update jobs)
+ * @namespace httpServer
+ */
+
+/**
+ * Operations that can be started as job
+ * @type {Array<string>}
+ * @memberof httpServer
+ */
+export const JOB_OPERATIONS = ['index', 'update'];
+
+/**
+ * Name of the environment variable with the API key of the service
+ * @type {string}
+ * @memberof httpServer
+ */
+export const API_KEY_VARIABLE = 'SERVICE_API_KEY';
+
+/**
+ * Maximum number of log entries kept per job (the oldest entries are dropped)
+ * @type {number}
+ * @memberof httpServer
+ * @private
+ */
+const MAX_JOB_LOG_ENTRIES = 2000;
+
+/**
+ * Maximum number of finished jobs kept in memory (the oldest jobs are dropped)
+ * @type {number}
+ * @memberof httpServer
+ * @private
+ */
+const MAX_FINISHED_JOBS = 50;
+
+/**
+ * Maximum size of a request body in bytes
+ * @type {number}
+ * @memberof httpServer
+ * @private
+ */
+const MAX_BODY_SIZE = 10000;
+
+// Job of the current asynchronous context, used to collect the log entries of the job
+const jobContext = new AsyncLocalStorage();
+
+/**
+ * Start the HTTP service.
+ * <br>Endpoints (JSON responses, all requests require the API key in the 'x-api-key' header or as bearer token):
+ * <br>- GET /api/health: status of the Empolis API services (see checkApiStatus()), 503 if a service is down
+ * <br>- GET /api/sources: configured data sources and their running job
+ * <br>- GET /api/sources/&lt;source&gt;/files?filename=&lt;path&gt;: metadata of a file in Empolis (see fileSearch()),
+ * 404 if not found
+ * <br>- POST /api/sources/&lt;source&gt;/jobs: start an 'index' or 'update' job ({ "operation": "update",
+ * "dryRun": false }), 409 if a job of the data source is running
+ * <br>- GET /api/jobs: all jobs, the latest first
+ * <br>- GET /api/jobs/&lt;id&gt;: status and result of a job
+ * <br>- GET /api/jobs/&lt;id&gt;/log?offset=&lt;n&gt;: log entries of a job from position n, 'next' is the offset of
+ * the next poll
+ * <br>Jobs run in the background with their own configuration (see runWithConfig()), one job per data source at a
+ * time. The log entries of a job are collected from the logger (LOG_LEVEL), the complete log is written to
+ * LOG_DIRECTORY.
+ * @async
+ * @function startHttpServer
+ * @memberof httpServer
+ * @param {number} [port] - port of the service (default: HTTP_PORT, 8080, 0 for a free port)
+ * @param {string} [host] - interface of the service (default: HTTP_HOST, '127.0.0.1')
+ * @param {string} [apiKey] - API key of the service (default: environment variable SERVICE_API_KEY)
+ * @returns {Promise<Object>} service with 'url', 'jobs' (Map by id), 'close()' (stops the service after the running
+ * jobs) and 'closed' (promise resolved when the service is closed)
+ * @throws {Error} if no API key is configured or the port cannot be opened
+ * @requires http
+ * @requires logger
+ */
+export async function startHttpServer({ port = null, host = null, apiKey = null } = {}) {
+  const baseConfig = getConfig();
+  const key = apiKey ?? process.env[API_KEY_VARIABLE];
+  if (!key) {
+    throw new Error(
+      `No API key configured for the HTTP service (environment variable ${API_KEY_VARIABLE})`
+    );
+  }
+  const service = { baseConfig, jobs: new Map() };
+
+  // Collect the log entries of the jobs
+  const jobLogTransport = new winston.transports.Stream({
+    stream: new Writable({
+      objectMode: true,
+      write(info, encoding, callback) {
+        const job = jobContext.getStore();
+        if (job) appendJobLog(job, info.level, info.message);
+        callback();
+      },
+    }),
+  });
+  logger.add(jobLogTransport);
+
+  const server = http.createServer((req, res) => {
+    handleRequest({ service, req, apiKey: key })
+      .catch((error) => {
+        logger.error(`HTTP ${req.method} ${req.url} Error:\n${error}`);
+        return [500, { error: error.message }];
+      })
+      .then(([statusCode, body]) => {
+        res.writeHead(statusCode, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(body));
+      });
+  });
+  try {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(
+        port ?? baseConfig.HTTP_PORT ?? 8080,
+        host ?? baseConfig.HTTP_HOST ?? '127.0.0.1',
+        resolve
+      );
+    });
+  } catch (error) {
+    logger.remove(jobLogTransport);
+    logger.error(`startHttpServer() Error:\n${error}`);
+    throw new Error(`Failed to start the HTTP service: ${error.message}`);
+  }
+  const address = server.address();
+  const url = `http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}`;
+  logger.info(`HTTP service listening on ${url}`);
+
+  let resolveClosed;
+  const closed = new Promise((resolve) => (resolveClosed = resolve));
+  return {
+    url,
+    jobs: service.jobs,
+    closed,
+    /**
+     * Stop accepting requests and wait for the running jobs
+     * @returns {Promise<null>}
+     */
+    async close() {
+      const stopped = new Promise((resolve) => server.close(resolve));
+      server.closeAllConnections();
+      await stopped;
+      await Promise.all([...service.jobs.values()].map((job) => job.done));
+      logger.remove(jobLogTransport);
+      logger.info(`HTTP service stopped`);
+      resolveClosed(null);
+      return null;
+    },
+  };
+}
+
+/**
+ * Authenticate a request and pass it to the handler of its route
+ * @async
+ * @function handleRequest
+ * @memberof httpServer
+ * @private
+ * @param {Object} service - state of the service (base configuration and jobs)
+ * @param {http.IncomingMessage} req - request
+ * @param {string} apiKey - API key of the service
+ * @returns {Promise<Array>} status code and response body
+ */
+async function handleRequest({ service, req, apiKey }) {
+  const url = new URL(req.url, 'http://localhost');
+  const providedKey =
+    req.headers['x-api-key'] ?? (req.headers.authorization ?? '').replace(/^Bearer /i, '');
+  if (!keysMatch(providedKey, apiKey)) {
+    logger.warn(`HTTP ${req.method} ${url.pathname} rejected: invalid API key`);
+    return [401, { error: 'Invalid or missing API key' }];
+  }
+  const body = await readBody(req);
+  logger.info(`HTTP ${req.method} ${url.pathname}${url.search}`);
+  if (body === null) {
+    return [413, { error: `The request body is larger than ${MAX_BODY_SIZE} characters` }];
+  }
+
+  const routes = [
+    ['GET', /^\/api\/health$/, getHealth],
+    ['GET', /^\/api\/sources$/, listSources],
+    ['GET', /^\/api\/sources\/([^/]+)\/files$/, lookupSourceFile],
+    ['POST', /^\/api\/sources\/([^/]+)\/jobs$/, startJob],
+    ['GET', /^\/api\/jobs$/, listJobs],
+    ['GET', /^\/api\/jobs\/([^/]+)$/, getJob],
+    ['GET', /^\/api\/jobs\/([^/]+)\/log$/, getJobLog],
+  ];
+  for (const [method, pattern, handler] of routes) {
+    const match = url.pathname.match(pattern);
+    if (match && req.method === method) {
+      let params;
+      try {
+        params = match.slice(1).map(decodeURIComponent);
+      } catch {
+        return [400, { error: `Invalid encoding of the path ${url.pathname}` }];
+      }
+      return handler({ service, params, url, body });
+    }
+  }
+  return [404, { error: `Unknown endpoint ${req.method} ${url.pathname}` }];
+}
+
+/**
+ * GET /api/health: status of the Empolis API services
+ * @async
+ * @function getHealth
+ * @memberof httpServer
+ * @private
+ * @returns {Promise<Array>} status code and response body
+ */
+async function getHealth() {
+  try {
+    await checkApiStatus();
+    return [200, { operational: true }];
+  } catch (error) {
+    return [503, { operational: false, error: error.message }];
+  }
+}
+
+/**
+ * GET /api/sources: configured data sources and their running job
+ * @function listSources
+ * @memberof httpServer
+ * @private
+ * @param {Object} service - state of the service
+ * @returns {Array} status code and response body
+ */
+function listSources({ service }) {
+  const dataSources = getDataSources(service.baseConfig).map((dataSource) => ({
+    name: dataSource.NAME,
+    description: dataSource.DESCRIPTION ?? null,
+    runningJob: findRunningJob(service, dataSource.NAME)?.id ?? null,
+  }));
+  return [200, dataSources];
+}
+
+/**
+ * GET /api/sources/&lt;source&gt;/files?filename=&lt;path&gt;: metadata of a file in Empolis
+ * @async
+ * @function lookupSourceFile
+ * @memberof httpServer
+ * @private
+ * @param {Object} service - state of the service
+ * @param {Array<string>} params - data source name
+ * @param {URL} url - request URL
+ * @returns {Promise<Array>} status code and response body
+ */
+async function lookupSourceFile({ service, params: [sourceName], url }) {
+  const filename = url.searchParams.get('filename');
+  if (!filename) return [400, { error: `The 'filename' parameter is required` }];
+  const sourceConfig = getSourceConfig(service, sourceName);
+  if (!sourceConfig) return [404, { error: `Unknown data source '${sourceName}'` }];
+
+  const metadata = await runWithConfig(sourceConfig, () => fileSearch({ searchTerm: filename }));
+  // fileSearch() returns null if the file is not found, and undefined if the lookup failed
+  if (metadata === undefined) {
+    return [502, { error: `Lookup of '${filename}' failed, see the log` }];
+  }
+  if (!metadata) {
+    return [404, { error: `File '${filename}' not found in '${sourceConfig.NAME}'` }];
+  }
+  return [200, metadata];
+}
+
+/**
+ * POST /api/sources/&lt;source&gt;/jobs: start an index or update job for a data source
+ * @function startJob
+ * @memberof httpServer
+ * @private
+ * @param {Object} service - state of the service
+ * @param {Array<string>} params - data source name
+ * @param {string} body - request body ({ "operation": "index" | "update", "dryRun": boolean })
+ * @returns {Array} status code and response body (the new job)
+ */
+function startJob({ service, params: [sourceName], body }) {
+  let options;
+  try {
+    options = body ? JSON.parse(body) : {};
+  } catch {
+    return [400, { error: 'The request body is not valid JSON' }];
+  }
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return [400, { error: 'The request body must be a JSON object' }];
+  }
+  const operation = options.operation ?? 'update';
+  if (!JOB_OPERATIONS.includes(operation)) {
+    return [400, { error: `Unknown operation '${operation}', use ${JOB_OPERATIONS.join(', ')}` }];
+  }
+  const sourceConfig = getSourceConfig(service, sourceName);
+  if (!sourceConfig) return [404, { error: `Unknown data source '${sourceName}'` }];
+  const runningJob = findRunningJob(service, sourceConfig.dataSourceSelection);
+  if (runningJob) {
+    return [
+      409,
+      {
+        error: `Job ${runningJob.id} is running for '${runningJob.source}'`,
+        job: formatJob(runningJob),
+      },
+    ];
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    source: sourceConfig.dataSourceSelection,
+    operation,
+    dryRun: operation === 'update' && options.dryRun === true,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    result: null,
+    error: null,
+    log: [],
+    logOffset: 0,
+  };
+  // The index is created without confirmation prompt, a job never resumes an earlier run
+  Object.assign(sourceConfig, {
+    OPERATION: operation,
+    ASSUME_YES: true,
+    DRY_RUN: job.dryRun,
+    RESUME_MODE: null,
+  });
+  job.done = jobContext.run(job, () => runWithConfig(sourceConfig, () => runJob(job)));
+  service.jobs.set(job.id, job);
+  dropFinishedJobs(service);
+  return [202, formatJob(job)];
+}
+
+/**
+ * GET /api/jobs: all jobs, the latest first
+ * @function listJobs
+ * @memberof httpServer
+ * @private
+ * @param {Object} service - state of the service
+ * @returns {Array} status code and response body
+ */
+function listJobs({ service }) {
+  return [200, [...service.jobs.values()].reverse().map(formatJob)];
+}
+
+/**
+ * GET /api/jobs/&lt;id&gt;: status and result of a job
+ * @function getJob
+ * @memberof httpServer
+ * @private
+ * @param {Object} service - state of the service
+ * @param {Array<string>} params - job id
+ * @returns {Array} status code and response body
+ */
+function getJob({ service, params: [jobId] }) {
+  const job = service.jobs.get(jobId);
+  return job ? [200, formatJob(job)] : [404, { error: `Unknown job '${jobId}'` }];
+}
+
+/**
+ * GET /api/jobs/&lt;id&gt;/log?offset=&lt;n&gt;: log entries of a job from position n
+ * @function getJobLog
+ * @memberof httpServer
+ * @private
+ * @param {Object} service - state of the service
+ * @param {Array<string>} params - job id
+ * @param {URL} url - request URL
+ * @returns {Array} status code and response body with the job 'status', the 'entries' and the 'next' offset
+ */
+function getJobLog({ service, params: [jobId], url }) {
+  const job = service.jobs.get(jobId);
+  if (!job) return [404, { error: `Unknown job '${jobId}'` }];
+  const offset = Math.max(Number(url.searchParams.get('offset')) || 0, job.logOffset);
+  return [
+    200,
+    {
+      status: job.status,
+      entries: job.log.slice(offset - job.logOffset),
+      next: job.logOffset + job.log.length,
+    },
+  ];
+}
+
+/**
+ * Run a job: create or update the index file of the data source and, for 'update' jobs, update the metadata in
+ * Empolis. Errors are stored in the job, they are not thrown.
+ * @async
+ * @function runJob
+ * @memberof httpServer
+ * @private
+ * @param {Object} job - job
+ * @returns {Promise<null>}
+ */
+async function runJob(job) {
+  logger.info(
+    `Job ${job.id} started: ${job.operation} '${job.source}'${job.dryRun ? ' (dry run)' : ''}`
+  );
+  console.log(`  Job ${chalk.cyan(job.id)} started: ${job.operation} '${job.source}'`);
+  try {
+    const { fileList, indexFile } = await createUpdateIndexFile();
+    job.result = { files: fileList.length, indexFile };
+    if (job.operation === 'update') {
+      job.result.summary = await updateCloudMetadata({ fileList, indexFile });
+    }
+    job.status = 'completed';
+  } catch (error) {
+    logger.error(`Job ${job.id} failed:\n${error}`);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+  job.finishedAt = new Date().toISOString();
+  logger.info(`Job ${job.id} ${job.status}`);
+  console.log(
+    `${job.status === 'completed' ? chalk.green('√') : chalk.red('X')} Job ${chalk.cyan(job.id)} ${job.status}`
+  );
+  return null;
+}
+
+/**
+ * Get the configuration of a data source for a request, based on the configuration of the service
+ * @function getSourceConfig
+ * @memberof httpServer
+ * @private
+ * @param {Object} service - state of the service
+ * @param {string} sourceName - name of the data source
+ * @returns {Object} configuration with the selected data source, null if the data source is not configured
+ */
+function getSourceConfig(service, sourceName) {
+  try {
+    return applyDataSource(
+      { ...service.baseConfig },
+      findDataSource(service.baseConfig, sourceName)
+    );
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the running job of a data source
+ * @function findRunningJob
+ * @memberof httpServer
+ * @private
+ * @param {Object} service - state of the service
+ * @param {string} sourceName - name of the data source
+ * @returns {Object} running job, undefined if no job is running
+ */
+function findRunningJob(service, sourceName) {
+  return [...service.jobs.values()].find(
+    (job) => job.status === 'running' && job.source.toLowerCase() === sourceName.toLowerCase()
+  );
+}
+
+/**
+ * Drop the oldest finished jobs if more than MAX_FINISHED_JOBS are kept
+ * @function dropFinishedJobs
+ * @memberof httpServer
+ * @private
+ * @param {Object} service - state of the service
+ * @returns {null}
+ */
+function dropFinishedJobs(service) {
+  const finishedJobs = [...service.jobs.values()].filter((job) => job.status !== 'running');
+  for (const job of finishedJobs.slice(0, Math.max(0, finishedJobs.length - MAX_FINISHED_JOBS))) {
+    service.jobs.delete(job.id);
+  }
+  return null;
+}
+
+/**
+ * Append an entry to the log of a job, dropping the oldest entry if the log is full
+ * @function appendJobLog
+ * @memberof httpServer
+ * @private
+ * @param {Object} job - job
+ * @param {string} level - log level
+ * @param {string} message - log message
+ * @returns {null}
+ */
+function appendJobLog(job, level, message) {
+  job.log.push({ timestamp: new Date().toISOString(), level, message });
+  if (job.log.length > MAX_JOB_LOG_ENTRIES) {
+    job.log.shift();
+    job.logOffset++;
+  }
+  return null;
+}
+
+/**
+ * Format a job for a response (without its log)
+ * @function formatJob
+ * @memberof httpServer
+ * @private
+ * @param {Object} job - job
+ * @returns {Object} id, source, operation, dryRun, status, startedAt, finishedAt, result and error of the job
+ */
+function formatJob(job) {
+  const { id, source, operation, dryRun, status, startedAt, finishedAt, result, error } = job;
+  return { id, source, operation, dryRun, status, startedAt, finishedAt, result, error };
+}
+
+/**
+ * Compare the API key of a request with the key of the service in constant time
+ * @function keysMatch
+ * @memberof httpServer
+ * @private
+ * @param {string} providedKey - API key of the request
+ * @param {string} apiKey - API key of the service
+ * @returns {boolean} TRUE if the keys match
+ */
+function keysMatch(providedKey, apiKey) {
+  const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return Boolean(providedKey) && crypto.timingSafeEqual(hash(providedKey), hash(apiKey));
+}
+
+/**
+ * Read the body of a request.
+ * <br>A body larger than MAX_BODY_SIZE is read to the end, so that the response can be sent, but not kept.
+ * @async
+ * @function readBody
+ * @memberof httpServer
+ * @private
+ * @param {http.IncomingMessage} req - request
+ * @returns {Promise<string|null>} request body, null if the body is larger than MAX_BODY_SIZE
+ */
+async function readBody(req) {
+  let body = '';
+  let tooLarge = false;
+  for await (const chunk of req) {
+    if (tooLarge) continue;
+    body += chunk;
+    if (body.length > MAX_BODY_SIZE) tooLarge = true;
+  }
+  return tooLarge ? null : body;
+}
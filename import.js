@@ -0,0 +1,338 @@
+// Imports
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import chalk from 'chalk';
+import ExcelJS from 'exceljs';
+import logger from './logger.js';
+import { getConfig } from './config.js';
+import { parseCsv, toCsv } from './helpers.js';
+import { lookupFile } from './empolis_search.js';
+import { getFileMetadata, getMetadataChanges, postFileMetadata } from './empolis_ops.js';
+import { configureRateLimit, runWorkerPool } from './pipeline.js';
+import { openSnapshotStore, saveSnapshot } from './snapshots.js';
+import { assertValidMetadata } from './schema.js';
+import { MetadataValidationError } from './errors.js';
+
+/**
+ * Namespace for all elements related to the import of reviewed metadata from a spreadsheet
+ * @namespace import
+ */
+
+/**
+ * Attributes imported if IMPORT_ATTRIBUTES is not configured
+ * @type {Array<string>}
+ * @memberof import
+ * @private
+ */
+const DEFAULT_IMPORT_ATTRIBUTES = ['Title', 'Keywords_txt', 'Author', 'Comment_txt', 'Category'];
+
+/**
+ * Columns of the CSV import report
+ * @type {Array<string>}
+ * @memberof import
+ * @private
+ */
+const REPORT_COLUMNS = ['row', 'key', 'status', 'attributes', 'message'];
+
+/**
+ * Import reviewed metadata from a CSV or XLSX file into the selected data source.
+ * <br>Each row is identified by 'DownloadLink' or 'FileName' (path relative to the data source directory). The
+ * columns of the attributes in IMPORT_ATTRIBUTES are merged into the current metadata of the file (see
+ * getFileMetadata()), all other columns are ignored. Empty cells leave the attribute unchanged. Localized attributes
+ * can be edited per language with columns such as 'Category (de)', as written by the export.
+ * <br>Rows without changes are skipped, and rows whose metadata does not match the index schema are rejected (see
+ * validateMetadata()). In a dry run (DRY_RUN), the changes are only reported. Otherwise, the original metadata is
+ * saved in the snapshots of the import run (see rollbackRun()) before postFileMetadata().
+ * <br>The result of each row is written to a report next to the index file.
+ * @async
+ * @function importMetadata
+ * @memberof import
+ * @param {string} importFile - path of the CSV or XLSX file
+ * @param {string} indexFile - path of the index file of the data source (location of the reports and snapshots)
+ * @returns {Promise<Object>} summary (number of updated, proposed, unchanged, invalid and failed rows), runId and
+ * path of the report
+ * @throws {Error} if the file cannot be read or has no key column
+ */
+export async function importMetadata({ importFile, indexFile }) {
+  logger.debug(`importMetadata(${importFile}) started`);
+  const config = getConfig();
+  const rows = await readSpreadsheet(importFile);
+  const columns = Object.keys(rows[0]?.values ?? {});
+  if (!columns.includes('DownloadLink') && !columns.includes('FileName')) {
+    throw new Error(`${importFile} has no 'DownloadLink' or 'FileName' column`);
+  }
+  const importAttributes = config.IMPORT_ATTRIBUTES ?? DEFAULT_IMPORT_ATTRIBUTES;
+  const importColumns = columns.filter((column) =>
+    importAttributes.includes(parseColumn(column).attribute)
+  );
+  const ignoredColumns = columns.filter(
+    (column) => !importColumns.includes(column) && !['DownloadLink', 'FileName'].includes(column)
+  );
+  if (ignoredColumns.length > 0) logger.info(`Ignored columns: ${ignoredColumns.join(', ')}`);
+  if (importColumns.length === 0) {
+    throw new Error(
+      `${importFile} has no column of IMPORT_ATTRIBUTES (${importAttributes.join(', ')})`
+    );
+  }
+
+  const runId = `import_${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  const snapshots = config.DRY_RUN ? null : await openSnapshotStore({ indexFile, runId });
+  const summary = { updated: 0, proposed: 0, unchanged: 0, invalid: 0, failed: 0 };
+
+  console.log(
+    `  Importing ${chalk.cyan(importColumns.join(', '))} of ${chalk.cyan(rows.length)} rows` +
+      `${config.DRY_RUN ? ' (dry run, Empolis will not be modified)' : ''}...`
+  );
+  configureRateLimit(config.REQUESTS_PER_SECOND);
+  const results = await runWorkerPool({
+    items: rows,
+    concurrency: config.UPDATE_CONCURRENCY,
+    worker: ({ values }) => importRow({ row: values, importColumns, snapshots }),
+    onResult: ({ item, value, error }) => {
+      const result = error
+        ? { key: getRowKey(item.values), status: 'failed', message: error.message }
+        : value;
+      summary[result.status]++;
+      logger.info(
+        `[row ${item.rowNumber}] ${result.key ?? '?'}: ${result.status}` +
+          `${result.message ? ` - ${result.message}` : ''}`
+      );
+      if (['invalid', 'failed'].includes(result.status)) {
+        console.log(
+          `  ${chalk.red('X')} Row ${item.rowNumber} (${result.key ?? '?'}): ${result.message}`
+        );
+      }
+    },
+  });
+
+  const reportEntries = results.map(({ item, value, error }) => {
+    const result = error
+      ? { key: getRowKey(item.values), status: 'failed', message: error.message }
+      : value;
+    return {
+      row: item.rowNumber,
+      key: result.key ?? null,
+      status: result.status,
+      attributes: (result.changes ?? []).map((change) => change.attribute),
+      message: result.message ?? null,
+      changes: result.changes ?? [],
+    };
+  });
+  const reportBase = path.join(
+    path.dirname(indexFile),
+    `import_report_${config.dataSourceSelection}_${runId.replace('import_', '')}`
+  );
+  await fs.mkdir(path.dirname(indexFile), { recursive: true });
+  await fs.writeFile(
+    `${reportBase}.json`,
+    JSON.stringify(
+      {
+        runId,
+        dataSource: config.dataSourceSelection,
+        importFile,
+        dryRun: Boolean(config.DRY_RUN),
+        summary,
+        rows: reportEntries,
+      },
+      null,
+      2
+    )
+  );
+  await fs.writeFile(
+    `${reportBase}.csv`,
+    toCsv(reportEntries, REPORT_COLUMNS, config.CSV_DELIMITER ?? ',')
+  );
+
+  const changedLabel = config.DRY_RUN ? 'proposed' : 'updated';
+  console.log(
+    `${summary.invalid || summary.failed ? chalk.red('X') : chalk.green('√')}` +
+      ` Completed import of ${importFile} into '${config.dataSourceSelection}' data source` +
+      ` (${changedLabel}: ${chalk.cyan(summary[changedLabel])}, unchanged: ${chalk.cyan(summary.unchanged)},` +
+      ` invalid: ${chalk.cyan(summary.invalid)}, failed: ${chalk.cyan(summary.failed)})` +
+      `\n  Report written to ${chalk.cyan(`${reportBase}.csv`)}` +
+      `${snapshots ? `\n  Roll back with: node index.js rollback ${runId}` : ''}`
+  );
+  logger.info(
+    `Completed import of ${importFile} into '${config.dataSourceSelection}' data source` +
+      ` (${changedLabel}: ${summary[changedLabel]}, unchanged: ${summary.unchanged},` +
+      ` invalid: ${summary.invalid}, failed: ${summary.failed}), report: ${reportBase}.json`
+  );
+  return { summary, runId, report: `${reportBase}.json` };
+}
+
+/**
+ * Import the metadata of one spreadsheet row
+ * @async
+ * @function importRow
+ * @memberof import
+ * @private
+ * @param {Object} row - values of the row by column
+ * @param {Array<string>} importColumns - columns to import
+ * @param {Object} [snapshots] - snapshot store of the import run (null in a dry run)
+ * @returns {Promise<Object>} key, status ('updated', 'proposed', 'unchanged', 'invalid' or 'failed'), changes and
+ * message
+ */
+async function importRow({ row, importColumns, snapshots }) {
+  const config = getConfig();
+  const key = getRowKey(row);
+  if (!key) return { status: 'invalid', message: `No 'DownloadLink' or 'FileName'` };
+
+  // Identify the file by its DownloadLink, or look it up by its path in the data source
+  let downloadLink = row.DownloadLink?.trim();
+  if (downloadLink) {
+    const locationPrefix = `${config.DATA_SOURCE.replace(/\/+$/, '')}/`;
+    if (!downloadLink.startsWith(locationPrefix)) {
+      return { key, status: 'invalid', message: `DownloadLink is not located in the data source` };
+    }
+  } else {
+    const lookup = await lookupFile({ filename: row.FileName.trim() });
+    if (lookup.status !== 'found') return { key, status: 'invalid', message: lookup.message };
+    downloadLink = lookup.downloadLink;
+  }
+
+  const currentMetadata = await getFileMetadata({ path: downloadLink });
+  let newMetadata;
+  try {
+    newMetadata = mergeRow({ currentMetadata, row, importColumns });
+  } catch (error) {
+    return { key, status: 'invalid', message: error.message };
+  }
+  const changes = getMetadataChanges({ currentMetadata, newMetadata });
+  if (changes.length === 0) return { key, status: 'unchanged', changes };
+  try {
+    await assertValidMetadata({ metadata: newMetadata });
+  } catch (error) {
+    if (!(error instanceof MetadataValidationError)) throw error;
+    return { key, status: 'invalid', changes, message: error.message };
+  }
+  if (config.DRY_RUN) return { key, status: 'proposed', changes };
+
+  await saveSnapshot({ store: snapshots, filename: key, downloadLink, metadata: currentMetadata });
+  // Validated above, before the snapshot is saved
+  const statusCode = await postFileMetadata({ newMetadata });
+  return statusCode === 202
+    ? { key, status: 'updated', changes }
+    : { key, status: 'failed', changes, message: `INGEST API responded with status ${statusCode}` };
+}
+
+/**
+ * Merge the values of a spreadsheet row into the current metadata of a file.
+ * <br>The values are converted to the type of the current value: multi-value attributes are split at ';', numbers
+ * and booleans are parsed. 'Attribute' sets the 'value' of a localized attribute, 'Attribute (de)' the value of a
+ * language.
+ * @function mergeRow
+ * @memberof import
+ * @param {Object} currentMetadata - current metadata of the file
+ * @param {Object} row - values of the row by column
+ * @param {Array<string>} importColumns - columns to import
+ * @returns {Object} new metadata of the file
+ * @throws {Error} if a value cannot be converted to the type of the attribute
+ */
+export function mergeRow({ currentMetadata, row, importColumns }) {
+  const newMetadata = { ...currentMetadata };
+  for (const column of importColumns) {
+    const cell = (row[column] ?? '').trim();
+    // Empty cells leave the attribute unchanged
+    if (!cell) continue;
+    const { attribute, language } = parseColumn(column);
+    const current = newMetadata[attribute];
+    const isLocalized = current && typeof current === 'object' && !Array.isArray(current);
+
+    if (language) {
+      if (current !== undefined && !isLocalized) {
+        throw new Error(`'${attribute}' has no localized values, column '${column}' is invalid`);
+      }
+      newMetadata[attribute] = { ...current, [language]: cell };
+    } else if (isLocalized) {
+      newMetadata[attribute] = { ...current, value: cell };
+    } else if (Array.isArray(current)) {
+      if (current.some((item) => typeof item === 'object')) {
+        throw new Error(`'${attribute}' has localized multiple values and cannot be imported`);
+      }
+      newMetadata[attribute] = cell
+        .split(';')
+        .map((item) => item.trim())
+        .filter(Boolean);
+    } else if (typeof current === 'number') {
+      if (Number.isNaN(Number(cell))) throw new Error(`'${attribute}' must be a number`);
+      newMetadata[attribute] = Number(cell);
+    } else if (typeof current === 'boolean') {
+      if (!['true', 'false'].includes(cell.toLowerCase())) {
+        throw new Error(`'${attribute}' must be true or false`);
+      }
+      newMetadata[attribute] = cell.toLowerCase() === 'true';
+    } else {
+      newMetadata[attribute] = cell;
+    }
+  }
+  return newMetadata;
+}
+
+/**
+ * Get the key of a spreadsheet row ('DownloadLink', or 'FileName' if the row has no 'DownloadLink')
+ * @function getRowKey
+ * @memberof import
+ * @private
+ * @param {Object} row - values of the row by column
+ * @returns {string} key of the row (empty if the row has no key)
+ */
+function getRowKey(row) {
+  return (row.DownloadLink || row.FileName || '').trim();
+}
+
+/**
+ * Split a column name into attribute and language (e.g. 'Category (de)')
+ * @function parseColumn
+ * @memberof import
+ * @private
+ * @param {string} column - column name
+ * @returns {Object} attribute and language (null if the column is not language specific)
+ */
+function parseColumn(column) {
+  const match = column.match(/^(.+?) \((\w{2})\)$/);
+  return match
+    ? { attribute: match[1], language: match[2] }
+    : { attribute: column, language: null };
+}
+
+/**
+ * Read the rows of a CSV or XLSX file (first worksheet). The first row holds the column names.
+ * @async
+ * @function readSpreadsheet
+ * @memberof import
+ * @private
+ * @param {string} filePath - path of the CSV or XLSX file
+ * @returns {Promise<Array<Object>>} row number in the file (line number in CSV files) and values by column name of
+ * each row
+ * @throws {Error} if the file type is not supported
+ */
+async function readSpreadsheet(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  let table;
+  if (extension === '.csv') {
+    table = parseCsv(await fs.readFile(filePath, 'utf8'), getConfig().CSV_DELIMITER ?? null);
+  } else if (extension === '.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+    const worksheet = workbook.worksheets[0];
+    table = [];
+    worksheet?.eachRow((row, rowNumber) => {
+      table.push({
+        line: rowNumber,
+        values: Array.from(
+          { length: worksheet.columnCount },
+          (_, i) => row.getCell(i + 1).text ?? ''
+        ),
+      });
+    });
+  } else {
+    throw new Error(`Unsupported import file type '${extension}', use .csv or .xlsx`);
+  }
+
+  const [header = { values: [] }, ...rows] = table;
+  const columns = header.values.map((column) => column.trim());
+  return rows.map(({ line, values }) => ({
+    rowNumber: line,
+    values: Object.fromEntries(columns.map((column, i) => [column, values[i] ?? ''])),
+  }));
+}
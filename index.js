@@ -1,33 +1,159 @@
 // Imports
-import { loadConfig, setConfig, getConfig } from './config.js';
+import { loadConfig, setConfig, getConfig, getDataSources } from './config.js';
+import { parseCliArguments, USAGE } from './cli.js';
+import { checkApiStatus } from './empolis_admin.js';
 import { fileSearch } from './empolis_search.js';
-import { updateCloudMetadata } from './empolis_ops.js';
-import { createUpdateIndexFile } from './index_creation.js';
+import { rollbackRun, updateCloudMetadata } from './empolis_ops.js';
+import { createUpdateIndexFile, getIndexFilePath, listDataSourceFiles } from './index_creation.js';
+import { watchDataSources } from './watch.js';
+import { parseSearchFilters, runSearchConsole } from './search_console.js';
+import { startHttpServer } from './http_server.js';
+import { reconcileDataSource } from './reconcile.js';
+import { exportRecords } from './export.js';
+import { importMetadata } from './import.js';
+import { listSnapshotRuns } from './snapshots.js';
 import logger, { configureLogger } from './logger.js';
 import { performance } from 'node:perf_hooks';
 import { fileURLToPath } from 'url';
 import path from 'node:path';
 import dotenv from 'dotenv';
 import chalk from 'chalk';
-import { confirm, input } from '@inquirer/prompts';
+import { confirm, input, select } from '@inquirer/prompts';
 
 // Load environment variables
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 dotenv.config({ path: __dirname + `/.env` });
 
-// Initialize basic config for logger
-const initialConfig = await loadConfig();
-configureLogger(initialConfig);
-setConfig(initialConfig);
-// Load full config with user prompt and api test
-const fullConfig = await loadConfig({ promptUser: true, testApi: true });
-setConfig(fullConfig);
+/**
+ * Run the operation selected in the configuration.
+ * @async
+ * @function runOperation
+ * @param {Object} config - configuration with the selected OPERATION
+ * @param {string} [searchTerm] - filename for the 'file_search' operation (prompted if missing)
+ * @param {Object} [searchOptions] - text, filter expressions ('attribute=value') and facets flag of the
+ * 'index_search' operation (prompted if text and filters are missing)
+ * @param {string} [runId] - id of the update run for the 'rollback' operation (selected by the user if missing)
+ * @param {Array<string>} [files] - files to restore in the 'rollback' operation (all files of the run if empty)
+ * @param {Object} [exportOptions] - format, attributes and outputFile of the 'export' operation
+ * @param {string} [importFile] - CSV or XLSX file of the 'import' operation (prompted if missing)
+ * @returns {Promise<boolean>} TRUE if the operation completed without failures
+ */
+async function runOperation({
+  config,
+  searchTerm,
+  searchOptions = {},
+  runId,
+  files = [],
+  exportOptions = {},
+  importFile,
+}) {
+  let fileList = [];
+  let indexFile = '';
+  // Create index file for the data source if user selects 'index' or 'update' operation
+  if (config.OPERATION === 'index' || config.OPERATION === 'update') {
+    ({ fileList, indexFile } = await createUpdateIndexFile());
+  }
+  // Update metadata for each file in the index if user selects 'update' operation
+  if (config.OPERATION === 'update') {
+    const summary = await updateCloudMetadata({ fileList, indexFile });
+    return summary.failed === 0 && summary.ambiguous === 0;
+  }
+  // Search for a specific file in the data source if user selects 'file_search' operation
+  if (config.OPERATION === 'file_search') {
+    if (!searchTerm) searchTerm = await input({ message: 'Enter the filename to search for:' });
+    const fileMetadata = await fileSearch({ searchTerm, consoleOutput: true });
+    if (fileMetadata) logger.info(`fileMetadata:\n${JSON.stringify(fileMetadata)}`);
+    return Boolean(fileMetadata);
+  }
+  // Search the Empolis index page by page if user selects 'index_search' operation
+  if (config.OPERATION === 'index_search') {
+    return runSearchConsole({
+      text: searchOptions.text ?? '',
+      filters: parseSearchFilters(searchOptions.filters),
+      facets: searchOptions.facets,
+    });
+  }
+  // Compare the local files with the records in Empolis if user selects 'reconcile' operation
+  if (config.OPERATION === 'reconcile') {
+    await reconcileDataSource({
+      fileList: await listDataSourceFiles(),
+      indexFile: getIndexFilePath(config.FILE_DIR),
+    });
+    return true;
+  }
+  // Export the records of the data source in Empolis if user selects 'export' operation
+  if (config.OPERATION === 'export') {
+    await exportRecords({ indexFile: getIndexFilePath(config.FILE_DIR), ...exportOptions });
+    return true;
+  }
+  // Merge the reviewed metadata of a CSV or XLSX file into Empolis if user selects 'import' operation
+  if (config.OPERATION === 'import') {
+    if (!importFile)
+      importFile = await input({ message: 'Enter the path of the CSV or XLSX file:' });
+    const { summary } = await importMetadata({
+      importFile,
+      indexFile: getIndexFilePath(config.FILE_DIR),
+    });
+    return summary.failed === 0 && summary.invalid === 0;
+  }
+  // Restore the metadata saved before an update run if user selects 'rollback' operation
+  if (config.OPERATION === 'rollback') {
+    const indexFile = getIndexFilePath(config.FILE_DIR);
+    if (!runId) {
+      const runIds = await listSnapshotRuns({ indexFile });
+      if (runIds.length === 0) {
+        console.log(`${chalk.red('X')} No update runs with snapshots found`);
+        return false;
+      }
+      runId = await select({
+        message: 'Select the update run to roll back:',
+        choices: runIds.map((id) => ({ name: id, value: id })),
+      });
+    }
+    const summary = await rollbackRun({ indexFile, runId, files });
+    return summary.failed === 0 && summary.not_found === 0;
+  }
+  // Update the metadata of changed files until the user stops the watcher if user selects 'watch' operation
+  if (config.OPERATION === 'watch') {
+    const dataSources = config.SOURCE_CONFIG ? [config.SOURCE_CONFIG] : getDataSources(config);
+    const watcher = await watchDataSources({ dataSources });
+    console.log(
+      `  Watching ${chalk.cyan(dataSources.map((dataSource) => dataSource.NAME).join(', '))}` +
+        ` for changed files. Press Ctrl+C to stop.`
+    );
+    process.once('SIGINT', () => {
+      console.log('  Stopping, processing the pending changes...');
+      watcher.close();
+    });
+    await watcher.closed;
+    return true;
+  }
+  // Serve status, file lookup and update jobs until the user stops the service if user selects 'serve' operation
+  if (config.OPERATION === 'serve') {
+    const service = await startHttpServer();
+    console.log(`  HTTP service listening on ${chalk.cyan(service.url)}. Press Ctrl+C to stop.`);
+    process.once('SIGINT', () => {
+      console.log('  Stopping, waiting for the running jobs...');
+      service.close();
+    });
+    await service.closed;
+    return true;
+  }
+  // Check the status of the Empolis API services if user selects 'status' operation
+  if (config.OPERATION === 'status') {
+    await checkApiStatus();
+  }
+  return true;
+}
 
 /**
  * Main function.
  * <br>Gets the filenames of all html files in a each directory, creates a file index, and updates the relevant
  * metadata in the corresponding document in Empolis.
+ * <br>If a command is passed on the command line, the operation runs once without further prompts (apart from missing
+ * arguments) and the process exits with a non-zero code if the operation fails. Without a command, the user selects
+ * the operations interactively.
  * @async
  * @function main
  * @requires performance
@@ -41,28 +167,64 @@ setConfig(fullConfig);
 
 async function main() {
   const startTime = performance.now();
-  let config = getConfig();
-  logger.debug(`main() function started`);
 
+  let cliArguments;
   try {
+    cliArguments = parseCliArguments(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${chalk.red('X')} ${error.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+  if (cliArguments.help) {
+    console.log(USAGE);
+    return;
+  }
+  const interactive = !cliArguments.command;
+
+  try {
+    // Initialize basic config for logger
+    const initialConfig = await loadConfig({ configPath: cliArguments.configPath });
+    configureLogger(initialConfig);
+    setConfig(initialConfig);
+    // Load full config with api test, prompting the user for missing arguments
+    setConfig(
+      await loadConfig({
+        promptUser: true,
+        testApi: cliArguments.operation !== 'status',
+        configPath: cliArguments.configPath,
+        operation: cliArguments.operation,
+        source: cliArguments.source,
+        assumeYes: cliArguments.yes,
+        dryRun: cliArguments.dryRun,
+        resumeMode: cliArguments.resumeMode,
+      })
+    );
+    let config = getConfig();
+    logger.debug(`main() function started`);
+
     let newOperation = true;
-    let fileList = [];
-    let indexFile = '';
     while (newOperation) {
-      // Create index file for the data source if user selects 'index' or 'update' operation
-      if (config.OPERATION === 'index' || config.OPERATION === 'update') {
-        ({ fileList, indexFile } = await createUpdateIndexFile());
-      }
-      // Update metadata for each file in the index if user selects 'update' operation
-      if (config.OPERATION === 'update') {
-        await updateCloudMetadata({ fileList, indexFile });
-      }
-      // Search for a specific file in the data source if user selects 'file_search' operation
-      if (config.OPERATION === 'file_search') {
-        const searchTerm = await input({ message: 'Enter the filename to search for:' });
-        const fileMetadata = await fileSearch({ searchTerm, consoleOutput: true });
-        if (fileMetadata) logger.info(`fileMetadata:\n${JSON.stringify(fileMetadata)}`);
-      }
+      const success = await runOperation({
+        config,
+        searchTerm: cliArguments.searchTerm,
+        searchOptions: {
+          text: cliArguments.searchText,
+          filters: cliArguments.filters,
+          facets: cliArguments.facets,
+        },
+        runId: cliArguments.runId,
+        files: cliArguments.files,
+        importFile: cliArguments.importFile,
+        exportOptions: {
+          format: cliArguments.format ?? config.EXPORT_FORMAT ?? 'csv',
+          attributes: cliArguments.attributes,
+          outputFile: cliArguments.output,
+        },
+      });
+      if (!success) process.exitCode = 1;
+      if (!interactive) break;
+
       // Prompt user to perform another operation
       newOperation = await confirm(
         { message: 'Perform another operation', default: false },
@@ -70,7 +232,7 @@ async function main() {
       );
       if (newOperation) {
         logger.info(`User selected to perform another operation`);
-        setConfig(await loadConfig({ promptUser: true }));
+        setConfig(await loadConfig({ promptUser: true, configPath: cliArguments.configPath }));
         config = getConfig();
       } else {
         logger.info(`User selected to end the program`);
@@ -83,6 +245,7 @@ async function main() {
     } else {
       console.error(`main() Error:\n${error}`);
       logger.error(`main() Error:\n${error}`);
+      process.exitCode = 1;
     }
   } finally {
     const endTime = performance.now();
@@ -1,14 +1,16 @@
 import fs from 'fs/promises';
 import path from 'node:path';
-import * as cheerio from 'cheerio';
+import crypto from 'node:crypto';
 import { confirm } from '@inquirer/prompts';
 import chalk from 'chalk';
 import { getConfig } from './config.js';
 import logger from './logger.js';
-import { fileExists, getHtmlFiles, truncateFile } from './helpers.js';
+import { fileExists, getHtmlFiles } from './helpers.js';
+import { getExtractor } from './extractors.js';
+import { isUntitled, normalizeTitle, validateTitleRules } from './titles.js';
 
 /**
- * Namespace for functions used to extract text from HTML files and create a file index
+ * Namespace for functions used to extract text from the source files and create a file index
  * @namespace fileIndex
  */
 
@@ -25,10 +27,12 @@ import { fileExists, getHtmlFiles, truncateFile } from './helpers.js';
 export async function createUpdateIndexFile() {
   try {
     const config = getConfig();
-    // Prompt user to confirm the directory for the source files of the data source
-    config.OK = await confirm({
-      message: `The directory for the files of data source '${config.dataSourceSelection}' is '${config.FILE_DIR}'. Continue?`,
-    });
+    // Prompt user to confirm the directory for the source files of the data source (skipped with --yes)
+    config.OK =
+      config.ASSUME_YES ||
+      (await confirm({
+        message: `The directory for the files of data source '${config.dataSourceSelection}' is '${config.FILE_DIR}'. Continue?`,
+      }));
 
     // Throw error if user cancels the operation due to incorrect configuration
     if (!config.OK) {
@@ -40,16 +44,17 @@ export async function createUpdateIndexFile() {
       throw new Error('Operation cancelled');
     }
 
-    const fileList = await getHtmlFiles(config.FILE_DIR);
+    const fileList = await listDataSourceFiles();
     console.log(
-      `  Found ${chalk.cyan(fileList.length)} HTML files in data source directory. Creating index file...`
-    );
-    logger.info(
-      `Found ${fileList.length} HTML files in data source directory. Creating index file.`
+      `  Found ${chalk.cyan(fileList.length)} files in data source directory. Creating index file...`
     );
+    logger.info(`Found ${fileList.length} files in data source directory. Creating index file.`);
     const indexFile = await createFileIndex({
       directoryPath: config.FILE_DIR,
       fileList,
+      extractorSettings: config.SOURCE_CONFIG?.EXTRACTOR,
+      titleRules: config.SOURCE_CONFIG?.TITLE_RULES,
+      germanDirectory: config.SOURCE_CONFIG?.LOCALIZATION?.DE_DIR,
     });
     console.log(
       `${chalk.green('√')}` +
@@ -69,29 +74,74 @@ export async function createUpdateIndexFile() {
   }
 }
 
-/** Creates a JSON index of all files in a specified directory and saves it to a file
- * <br> The index includes the filename, title, and breadcrumbs (optional) extracted from the HTML contents
+/** Get the source files of the selected data source, filtered by its FILE_TYPES, INCLUDE and EXCLUDE settings
+ * @async
+ * @function listDataSourceFiles
+ * @memberof fileIndex
+ * @returns {Promise<Array<string>>} paths of the files relative to the data source directory
+ * @throws {Error} if the directory cannot be read or contains no matching files
+ * @requires getHtmlFiles
+ */
+
+export async function listDataSourceFiles() {
+  const config = getConfig();
+  return getHtmlFiles(config.FILE_DIR, config.FILE_TYPES, {
+    include: config.SOURCE_CONFIG?.INCLUDE,
+    exclude: config.SOURCE_CONFIG?.EXCLUDE,
+  });
+}
+
+/** Get the path of the index file of a data source
+ * @function getIndexFilePath
+ * @memberof fileIndex
+ * @param {string} directoryPath - path of the data source directory
+ * @returns {string} path of the index file ('index/file_index.json' in the data source directory)
+ */
+
+export function getIndexFilePath(directoryPath) {
+  return path.join(directoryPath, 'index', 'file_index.json');
+}
+
+/** Creates or updates a JSON index of all files in a specified directory and saves it to a file
+ * <br> The index includes the relative path (filename), title, and breadcrumbs (optional) extracted from the HTML contents
+ * <br> The index is updated incrementally: each entry stores the modification time, size and content hash (SHA-256)
+ * of the file. Unchanged files are taken over from the existing index, only new or changed files are extracted again.
+ * Entries of deleted files are dropped, all entries are extracted again if the extractor settings change. The index
+ * file is written once at the end.
+ * <br>If a directory with the German variant of the data source is configured, the title and breadcrumbs of the
+ * German file with the same relative path are stored in the 'de' field of the entry. The entry is extracted again if
+ * the German file changes.
+ * <br>The titles are normalized with the title rules of the data source (see normalizeTitle()). Files without usable
+ * title keep the title 'Untitled' and are not updated in Empolis.
  * @async
  * @function createFileIndex
  * @memberof fileIndex
  * @param {string} directoryPath - path of directory containing files to be indexed
- * @param {Array} fileList - filenames of files to be indexed
+ * @param {Array} fileList - paths of files to be indexed, relative to the directory (see getHtmlFiles())
+ * @param {Object} [extractorSettings] - extractor settings of the data source (see extractTitleAndBreadcrumbs())
+ * @param {Object} [titleRules] - title rules of the data source (TITLE_RULES)
+ * @param {string} [germanDirectory] - directory of the German variant of the data source (LOCALIZATION.DE_DIR)
  * @returns {Promise<string>} The path of the index file if successful
+ * @throws {Error} if the index file could not be created
  * @requires path.join
  * @requires fileExists
  * @requires fs.mkdir
- * @requires truncateFile
  * @requires logger
  */
 
-export async function createFileIndex({ directoryPath, fileList }) {
+export async function createFileIndex({
+  directoryPath,
+  fileList,
+  extractorSettings,
+  titleRules = null,
+  germanDirectory = null,
+}) {
   logger.debug(`directoryPath: ${directoryPath}`);
 
   try {
     // Prepare index directory and file
-    const indexDir = path.join(directoryPath, 'index');
-    logger.debug(`indexDir: ${indexDir}`);
-    const indexFile = path.join(indexDir, 'file_index.json');
+    const indexFile = getIndexFilePath(directoryPath);
+    const indexDir = path.dirname(indexFile);
     logger.debug(`indexFile: ${indexFile}`);
 
     // If the index directory does not exist, create it
@@ -99,89 +149,357 @@ export async function createFileIndex({ directoryPath, fileList }) {
       await fs.mkdir(indexDir, { recursive: true });
       logger.info(`${indexDir} directory created for file index.`);
     }
-    // If the index directory and the index file exist, empty the index file
-    else if (await fileExists(indexFile)) {
-      await truncateFile(indexFile);
-    }
+
+    validateTitleRules(titleRules);
+    // Load the existing index to take over the entries of unchanged files
+    const previousEntries = await readIndexFile(indexFile);
+    const counts = { new: 0, changed: 0, unchanged: 0, failed: 0 };
+    const entries = [];
+    // Entries extracted with other extractor settings or title rules are extracted again
+    const extractorHash = getExtractorHash({ extractorSettings, titleRules });
 
     for (const file of fileList) {
       const filePath = path.join(directoryPath, file);
-      const titleAndBreadcrumbs = await extractTitleAndBreadcrumbs(filePath);
-      await writeIndexFile({ newEntry: titleAndBreadcrumbs, indexFilePath: indexFile });
+      const previousEntry =
+        previousEntries.get(file)?.extractorHash === extractorHash
+          ? previousEntries.get(file)
+          : null;
+      const { mtimeMs, size } = await fs.stat(filePath);
+      const { germanFile, germanProperties } = await getGermanVariant({ germanDirectory, file });
+      const germanUnchanged =
+        previousEntry?.deMtimeMs === germanProperties.deMtimeMs &&
+        previousEntry?.deSize === germanProperties.deSize;
+      // Modification time and size unchanged: take over the entry without reading the file
+      if (
+        previousEntry &&
+        germanUnchanged &&
+        previousEntry.mtimeMs === mtimeMs &&
+        previousEntry.size === size
+      ) {
+        entries.push(previousEntry);
+        counts.unchanged++;
+        continue;
+      }
+      const content = await fs.readFile(filePath);
+      const hash = crypto.createHash('sha256').update(content).digest('hex');
+      // Content unchanged (e.g. file copied with a new modification time): only update the file properties
+      if (previousEntry && germanUnchanged && previousEntry.hash === hash) {
+        entries.push({ ...previousEntry, mtimeMs, size });
+        counts.unchanged++;
+        continue;
+      }
+      const entry = await extractIndexEntry({
+        file,
+        filePath,
+        content,
+        germanFile,
+        extractorSettings,
+        titleRules,
+        fileProperties: { mtimeMs, size, hash, extractorHash, ...germanProperties },
+      });
+      if (!entry) {
+        counts.failed++;
+        continue;
+      }
+      entries.push(entry);
+      counts[previousEntries.has(file) ? 'changed' : 'new']++;
+    }
+
+    const fileSet = new Set(fileList);
+    const removed = [...previousEntries.keys()].filter((file) => !fileSet.has(file)).length;
+    await writeIndexFile({ entries, indexFilePath: indexFile });
+    const untitled = entries.filter((entry) => isUntitled(entry.title)).length;
+    console.log(
+      `  Index entries: ${chalk.cyan(counts.new)} new, ${chalk.cyan(counts.changed)} changed,` +
+        ` ${chalk.cyan(counts.unchanged)} unchanged, ${chalk.cyan(removed)} removed,` +
+        ` ${chalk.cyan(counts.failed)} failed`
+    );
+    logger.info(
+      `Index entries: ${counts.new} new, ${counts.changed} changed, ${counts.unchanged} unchanged,` +
+        ` ${removed} removed, ${counts.failed} failed`
+    );
+    if (untitled > 0) {
+      console.log(
+        `  ${chalk.yellow('!')} ${chalk.cyan(untitled)} files without title, they are not updated in Empolis` +
+          ` (see TITLE_RULES)`
+      );
+      logger.warn(`${untitled} files without title in ${indexFile}`);
     }
 
     return indexFile;
   } catch (error) {
     logger.error(`createFileIndex() Error:\n${error}`);
+    throw new Error(`Failed to create file index: ${error.message}`);
   }
 }
 
-/** Extract title and breadcrumbs from HTML file content, and return as object with the filename
+/** Update the entries of single files in the index file of a data source, e.g. after the files changed (see
+ * watchDataSources())
+ * <br>The files are extracted again like in createFileIndex(), entries of deleted files are removed. Files whose
+ * content and German variant did not change keep their entry (only the file properties are updated). The other
+ * entries of the index are not checked.
+ * @async
+ * @function updateIndexEntries
+ * @memberof fileIndex
+ * @param {string} directoryPath - path of the data source directory
+ * @param {Array<string>} files - paths of the changed files, relative to the directory
+ * @param {Object} [extractorSettings] - extractor settings of the data source (see extractTitleAndBreadcrumbs())
+ * @param {Object} [titleRules] - title rules of the data source (TITLE_RULES)
+ * @param {string} [germanDirectory] - directory of the German variant of the data source (LOCALIZATION.DE_DIR)
+ * @returns {Promise<Object>} 'indexFile', all index 'entries' (Map by filename), and the files that were 'updated',
+ * 'unchanged', 'removed' or 'failed'
+ * @throws {Error} if the index file could not be updated
+ */
+
+export async function updateIndexEntries({
+  directoryPath,
+  files,
+  extractorSettings,
+  titleRules = null,
+  germanDirectory = null,
+}) {
+  try {
+    validateTitleRules(titleRules);
+    const indexFile = getIndexFilePath(directoryPath);
+    await fs.mkdir(path.dirname(indexFile), { recursive: true });
+    const entries = await readIndexFile(indexFile);
+    const extractorHash = getExtractorHash({ extractorSettings, titleRules });
+    const result = { updated: [], unchanged: [], removed: [], failed: [] };
+
+    for (const file of files) {
+      const filePath = path.join(directoryPath, file);
+      const stats = await fs.stat(filePath).catch(() => null);
+      if (!stats?.isFile()) {
+        if (entries.delete(file)) result.removed.push(file);
+        continue;
+      }
+      const content = await fs.readFile(filePath);
+      const hash = crypto.createHash('sha256').update(content).digest('hex');
+      const { germanFile, germanProperties } = await getGermanVariant({ germanDirectory, file });
+      const fileProperties = {
+        mtimeMs: stats.mtimeMs,
+        size: stats.size,
+        hash,
+        extractorHash,
+        ...germanProperties,
+      };
+      const previousEntry = entries.get(file);
+      // Content unchanged (e.g. file saved again without changes): only update the file properties
+      if (
+        previousEntry?.hash === hash &&
+        previousEntry.extractorHash === extractorHash &&
+        previousEntry.deMtimeMs === germanProperties.deMtimeMs &&
+        previousEntry.deSize === germanProperties.deSize
+      ) {
+        entries.set(file, { ...previousEntry, ...fileProperties });
+        result.unchanged.push(file);
+        continue;
+      }
+      const entry = await extractIndexEntry({
+        file,
+        filePath,
+        content,
+        germanFile,
+        extractorSettings,
+        titleRules,
+        fileProperties,
+      });
+      if (entry) {
+        entries.set(file, entry);
+        result.updated.push(file);
+      } else {
+        result.failed.push(file);
+      }
+    }
+
+    // Keep the index sorted by filename, like the index created from the complete file list
+    const sortedEntries = [...entries.keys()].sort().map((file) => entries.get(file));
+    await writeIndexFile({ entries: sortedEntries, indexFilePath: indexFile });
+    logger.info(
+      `Index entries of ${files.length} changed files: ${result.updated.length} updated,` +
+        ` ${result.unchanged.length} unchanged, ${result.removed.length} removed, ${result.failed.length} failed`
+    );
+    return { indexFile, entries, ...result };
+  } catch (error) {
+    logger.error(`updateIndexEntries() Error:\n${error}`);
+    throw new Error(`Failed to update file index: ${error.message}`);
+  }
+}
+
+/** Extract title, breadcrumbs and further fields from the content of a source file, and return as object with the
+ * filename
+ * <br>The extractor is configured per data source (EXTRACTOR in DATA_SOURCES, see extractors). The title is
+ * normalized with the title rules (see normalizeTitle()), the extracted title is kept in 'extractedTitle' if it was
+ * changed.
  * @async
  * @function extractTitleAndBreadcrumbs
  * @memberof fileIndex
- * @param {string} htmlFilePath - path of the HTML file
- * @returns {Promise<Object>} Filename, Title, and Breadcrumbs (optional) extracted from HTML file contents as JSON
+ * @param {string} filePath - path of the source file
+ * @param {Object} [extractorSettings] - extractor settings of the data source (TYPE or MODULE, and the selectors)
+ * @param {Buffer|string} [content] - content of the file, read from filePath if not provided
+ * @param {Object} [titleRules] - title rules of the data source (TITLE_RULES)
+ * @returns {Promise<Object>} Filename, Title, title source, and the optional fields (breadcrumbs, description,
+ * headings, version) extracted from the file contents as JSON
  * @requires path.basename
  * @requires fs.readFile
- * @requires cheerio
+ * @requires extractors
  * @requires logger
  */
 
-export async function extractTitleAndBreadcrumbs(htmlFilePath) {
+export async function extractTitleAndBreadcrumbs(
+  filePath,
+  extractorSettings = {},
+  content = null,
+  titleRules = null
+) {
   try {
-    const filename = path.basename(htmlFilePath);
-    const htmlContent = await fs.readFile(htmlFilePath, 'utf8');
-    const $ = cheerio.load(htmlContent);
-
-    // Try to get title from <title> tag first, then fall back to Heading_2
-    let title = $('title').text().trim();
-    if (!title) title = $('.Heading_2').text().trim();
-    if (!title) title = 'Untitled';
-
-    const breadcrumbs = $('.WebWorks_Breadcrumbs')
-      .text()
-      .trim()
-      .split('>')
-      .map((crumb) => crumb.trim());
+    const filename = path.basename(filePath);
+    const extractor = await getExtractor({ settings: extractorSettings ?? {}, filePath });
+    const fields = await extractor.extract({
+      filePath,
+      content: content ?? (await fs.readFile(filePath)),
+      settings: extractorSettings ?? {},
+    });
+    const { title, titleSource } = normalizeTitle({ fields, filePath, rules: titleRules ?? {} });
 
     logger.info(`  Title ('${title}') and breadcrumbs extracted from '${filename}' and returned`);
     return {
       filename,
+      ...fields,
       title,
-      ...(breadcrumbs.length > 0 && breadcrumbs[0].trim() !== '' && { breadcrumbs }),
+      titleSource,
+      ...(title !== fields.title && { extractedTitle: fields.title }),
     };
   } catch (error) {
     logger.error(`extractTitleAndBreadcrumbs() Error:\n${error}`);
   }
 }
 
-/** Write new entry to the file index
+/** Read the entries of an existing index file
  * @async
- * @function writeIndexFile
+ * @function readIndexFile
  * @memberof fileIndex
- * @param {Object} newEntry - New entry for the file index
  * @param {string} indexFilePath - Path of the index file
- * @returns {Promise<null>}
+ * @returns {Promise<Map>} index entries by filename, empty if the index file does not exist or is invalid
  * @requires fs.readFile
- * @requires fs.writeFile
  * @requires logger
  */
 
-async function writeIndexFile({ newEntry, indexFilePath }) {
+export async function readIndexFile(indexFilePath) {
   try {
-    let jsonIndex = [];
-    try {
-      jsonIndex = JSON.parse(await fs.readFile(indexFilePath, 'utf8'));
-    } catch {
-      // If file doesn't exist or is invalid JSON, start with an empty index
-      logger.info(`  ${indexFilePath} not found. Starting with empty index.`);
-    }
-    jsonIndex.push(newEntry);
-    await fs.writeFile(indexFilePath, JSON.stringify(jsonIndex, null, 2));
-    logger.info(`  ${JSON.stringify(newEntry)} added to index file.`);
-    return null;
-  } catch (error) {
-    logger.error(`  Error writing to ${indexFilePath}:\n`, error);
+    const jsonIndex = JSON.parse(await fs.readFile(indexFilePath, 'utf8'));
+    return new Map(jsonIndex.filter(Boolean).map((entry) => [entry.filename, entry]));
+  } catch {
+    // If file doesn't exist or is invalid JSON, start with an empty index
+    logger.info(`  ${indexFilePath} not found or invalid. Starting with empty index.`);
+    return new Map();
   }
 }
+
+/** Write all entries to the file index
+ * <br>The index is written to a temporary file first and then renamed, so that an interrupted run does not leave a
+ * truncated index behind.
+ * @async
+ * @function writeIndexFile
+ * @memberof fileIndex
+ * @param {Array<Object>} entries - Entries of the file index
+ * @param {string} indexFilePath - Path of the index file
+ * @returns {Promise<null>}
+ * @requires fs.writeFile
+ * @requires fs.rename
+ * @requires logger
+ */
+
+async function writeIndexFile({ entries, indexFilePath }) {
+  const temporaryFilePath = `${indexFilePath}.tmp`;
+  await fs.writeFile(temporaryFilePath, JSON.stringify(entries, null, 2));
+  await fs.rename(temporaryFilePath, indexFilePath);
+  logger.info(`  ${entries.length} entries written to ${indexFilePath}.`);
+  return null;
+}
+
+/** Extract the index entry of a source file and its German variant
+ * @async
+ * @function extractIndexEntry
+ * @memberof fileIndex
+ * @private
+ * @param {string} file - path of the file relative to the data source directory
+ * @param {string} filePath - path of the file
+ * @param {Buffer} content - content of the file
+ * @param {string} [germanFile] - path of the German variant, null if it does not exist
+ * @param {Object} [extractorSettings] - extractor settings of the data source
+ * @param {Object} [titleRules] - title rules of the data source
+ * @param {Object} fileProperties - modification time, size, hashes and German file properties stored in the entry
+ * @returns {Promise<Object>} index entry, undefined if the file could not be extracted
+ * @requires extractTitleAndBreadcrumbs
+ */
+
+async function extractIndexEntry({
+  file,
+  filePath,
+  content,
+  germanFile,
+  extractorSettings,
+  titleRules,
+  fileProperties,
+}) {
+  const titleAndBreadcrumbs = await extractTitleAndBreadcrumbs(
+    filePath,
+    extractorSettings,
+    content,
+    titleRules
+  );
+  if (!titleAndBreadcrumbs) return undefined;
+  // Title and breadcrumbs of the German variant
+  // No fallbacks for German titles, the English title is used instead
+  const germanFields = germanFile
+    ? await extractTitleAndBreadcrumbs(germanFile, extractorSettings, null, {
+        ...titleRules,
+        FALLBACKS: [],
+      })
+    : null;
+  const german =
+    germanFields && !isUntitled(germanFields.title)
+      ? { de: { title: germanFields.title, breadcrumbs: germanFields.breadcrumbs } }
+      : {};
+  // Identify the entry by its path relative to the data source directory, filenames are not unique across folders
+  return { ...titleAndBreadcrumbs, ...german, filename: file, ...fileProperties };
+}
+
+/** Get the hash of the extractor settings and title rules stored in each index entry
+ * @function getExtractorHash
+ * @memberof fileIndex
+ * @private
+ * @param {Object} [extractorSettings] - extractor settings of the data source
+ * @param {Object} [titleRules] - title rules of the data source
+ * @returns {string} hash of the settings
+ */
+
+function getExtractorHash({ extractorSettings, titleRules }) {
+  return crypto
+    .createHash('sha256')
+    .update(
+      JSON.stringify({ ...extractorSettings, ...(titleRules && { TITLE_RULES: titleRules }) })
+    )
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/** Get the path, modification time and size of the German variant of a file, if it exists
+ * @async
+ * @function getGermanVariant
+ * @memberof fileIndex
+ * @private
+ * @param {string} [germanDirectory] - directory of the German variant of the data source
+ * @param {string} file - path of the file relative to the data source directory
+ * @returns {Promise<Object>} 'germanFile' (null if there is no German variant) and 'germanProperties' (deMtimeMs and
+ * deSize, empty if there is no German variant)
+ */
+
+async function getGermanVariant({ germanDirectory, file }) {
+  const germanFile = germanDirectory ? path.join(germanDirectory, file) : null;
+  const germanStats = germanFile ? await fs.stat(germanFile).catch(() => null) : null;
+  return germanStats
+    ? { germanFile, germanProperties: { deMtimeMs: germanStats.mtimeMs, deSize: germanStats.size } }
+    : { germanFile: null, germanProperties: {} };
+}
@@ -0,0 +1,189 @@
+// Imports
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import logger from './logger.js';
+import { fileExists } from './helpers.js';
+
+/**
+ * Namespace for all elements related to the progress journal of metadata update runs
+ * @namespace journal
+ */
+
+/**
+ * Filename of the journal, stored next to the index file
+ * @type {string}
+ * @memberof journal
+ */
+export const JOURNAL_FILENAME = 'update_journal.jsonl';
+
+/**
+ * Journal status of each processFile() result
+ * @type {Object}
+ * @memberof journal
+ * @private
+ */
+const JOURNAL_STATUS = {
+  updated: 'processed',
+  proposed: 'processed',
+  skipped: 'skipped',
+  blocked: 'failed',
+  ambiguous: 'failed',
+  failed: 'failed',
+};
+
+/**
+ * Open the progress journal of a metadata update run.
+ * <br>The journal is a JSON Lines file next to the index file. The first line describes the run, each further line
+ * records the result of one file. A new run overwrites the journal. With mode 'resume' or 'retry_failed', the journal
+ * of the previous run is loaded and continued (a new journal is started if none exists).
+ * @async
+ * @function openJournal
+ * @memberof journal
+ * @param {string} indexFile - path of the index file of the data source
+ * @param {string} dataSource - name of the data source
+ * @param {string} [mode] - 'resume', 'retry_failed', or null for a new run
+ * @returns {Promise<Object>} journal with runId, dataSource, path, and the recorded files (Map of filename to entry)
+ * @throws {Error} if the journal of the previous run belongs to another data source
+ */
+export async function openJournal({ indexFile, dataSource, mode = null }) {
+  const journalPath = path.join(path.dirname(indexFile), JOURNAL_FILENAME);
+
+  if (mode && (await fileExists(journalPath))) {
+    const journal = await readJournal(journalPath);
+    if (journal.dataSource !== dataSource) {
+      throw new Error(
+        `Journal ${journalPath} belongs to data source '${journal.dataSource}', not '${dataSource}'`
+      );
+    }
+    logger.info(`Continuing run ${journal.runId} from journal ${journalPath} (mode: ${mode})`);
+    return journal;
+  }
+  if (mode) logger.warn(`No journal found at ${journalPath}, starting a new run`);
+
+  const journal = {
+    runId: new Date().toISOString().replace(/[:.]/g, '-'),
+    dataSource,
+    path: journalPath,
+    files: new Map(),
+    writeQueue: Promise.resolve(),
+  };
+  const header = { runId: journal.runId, dataSource, startedAt: new Date().toISOString() };
+  await fs.writeFile(journalPath, `${JSON.stringify(header)}\n`);
+  logger.info(`Started run ${journal.runId} with journal ${journalPath}`);
+  return journal;
+}
+
+/**
+ * Get the files of the file list that still need to be processed
+ * @function getPendingFiles
+ * @memberof journal
+ * @param {Object} journal - journal of the run (see openJournal())
+ * @param {Array<string>} fileList - filenames of the data source
+ * @param {string} [mode] - 'resume' (files without result), 'retry_failed' (failed files), or null (all files)
+ * @returns {Array<string>} filenames to process
+ */
+export function getPendingFiles({ journal, fileList, mode = null }) {
+  if (mode === 'resume') return fileList.filter((file) => !journal.files.has(file));
+  if (mode === 'retry_failed') {
+    return fileList.filter((file) => journal.files.get(file)?.status === 'failed');
+  }
+  return fileList;
+}
+
+/**
+ * Record the result of a file in the journal.
+ * <br>Entries are appended to the journal file in the order they are recorded, so that concurrent workers do not
+ * interleave their writes.
+ * @async
+ * @function recordFileResult
+ * @memberof journal
+ * @param {Object} journal - journal of the run (see openJournal())
+ * @param {string} filename - filename of the processed file
+ * @param {string} result - result of processFile() ('updated', 'proposed', 'skipped', 'blocked', 'ambiguous' or
+ * 'failed')
+ * @param {string} [message] - additional information (e.g. error message)
+ * @returns {Promise<null>}
+ */
+export async function recordFileResult({ journal, filename, result, message = null }) {
+  const entry = {
+    filename,
+    status: JOURNAL_STATUS[result] ?? 'failed',
+    result,
+    ...(message && { message }),
+    timestamp: new Date().toISOString(),
+  };
+  journal.files.set(filename, entry);
+  await appendLine(journal, entry);
+  return null;
+}
+
+/**
+ * Mark the run as completed in the journal
+ * @async
+ * @function completeJournal
+ * @memberof journal
+ * @param {Object} journal - journal of the run (see openJournal())
+ * @param {Object} summary - summary of the run
+ * @returns {Promise<null>}
+ */
+export async function completeJournal({ journal, summary }) {
+  await appendLine(journal, { completedAt: new Date().toISOString(), summary });
+  logger.info(`Run ${journal.runId} completed, journal written to ${journal.path}`);
+  return null;
+}
+
+/**
+ * Append a line to the journal file. Writes are queued, a failed write is logged and does not stop the run.
+ * @async
+ * @function appendLine
+ * @memberof journal
+ * @private
+ * @param {Object} journal - journal of the run
+ * @param {Object} line - object to append as JSON line
+ * @returns {Promise<null>}
+ */
+function appendLine(journal, line) {
+  journal.writeQueue = journal.writeQueue
+    .then(() => fs.appendFile(journal.path, `${JSON.stringify(line)}\n`))
+    .catch((error) => logger.error(`appendLine() Error writing to ${journal.path}:\n${error}`));
+  return journal.writeQueue.then(() => null);
+}
+
+/**
+ * Read an existing journal. The last entry of each file wins, incomplete lines (e.g. after a crash) are ignored.
+ * @async
+ * @function readJournal
+ * @memberof journal
+ * @private
+ * @param {string} journalPath - path of the journal file
+ * @returns {Promise<Object>} journal
+ * @throws {Error} if the journal has no valid header
+ */
+async function readJournal(journalPath) {
+  const content = await fs.readFile(journalPath, 'utf8');
+  // Terminate an incomplete last line, so that new entries are appended on a new line
+  if (content && !content.endsWith('\n')) await fs.appendFile(journalPath, '\n');
+  const lines = content.split('\n').filter(Boolean);
+  const entries = [];
+  for (const line of lines) {
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      logger.warn(`Ignoring incomplete journal line in ${journalPath}: ${line}`);
+    }
+  }
+  const [header, ...records] = entries;
+  if (!header?.runId) throw new Error(`Invalid journal ${journalPath}`);
+
+  const files = new Map();
+  for (const record of records) {
+    if (record.filename) files.set(record.filename, record);
+  }
+  return {
+    runId: header.runId,
+    dataSource: header.dataSource,
+    path: journalPath,
+    files,
+    writeQueue: Promise.resolve(),
+  };
+}
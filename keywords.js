@@ -0,0 +1,138 @@
+// Imports
+import { getConfig } from './config.js';
+
+/**
+ * Namespace for all elements related to the keywords ('Keywords_txt') of files in Empolis
+ * @namespace keywords
+ */
+
+/**
+ * Policies for combining the extracted keywords with the current keywords of a file
+ * <br>- 'replace': the keywords are replaced by the extracted keywords
+ * <br>- 'merge': the extracted keywords, followed by the current keywords that were not extracted (e.g. keywords
+ * added by editors in Empolis)
+ * <br>- 'append': the current keywords are kept unchanged, extracted keywords that are missing are appended
+ * @type {Array<string>}
+ * @memberof keywords
+ */
+export const KEYWORD_POLICIES = ['replace', 'merge', 'append'];
+
+/**
+ * Separator of the keywords in 'Keywords_txt'
+ * @type {string}
+ * @memberof keywords
+ * @private
+ */
+const KEYWORD_SEPARATOR = '; ';
+
+/**
+ * Get the keyword policy of the selected data source (KEYWORD_POLICY in DATA_SOURCES, or the global KEYWORD_POLICY).
+ * @function getKeywordPolicy
+ * @memberof keywords
+ * @returns {string} keyword policy (see KEYWORD_POLICIES), 'replace' if not configured
+ * @throws {Error} if the configured policy is unknown
+ */
+export function getKeywordPolicy() {
+  const config = getConfig();
+  const policy = config.SOURCE_CONFIG?.KEYWORD_POLICY ?? config.KEYWORD_POLICY ?? 'replace';
+  if (!KEYWORD_POLICIES.includes(policy)) {
+    throw new Error(`Unknown KEYWORD_POLICY '${policy}', use ${KEYWORD_POLICIES.join(', ')}`);
+  }
+  return policy;
+}
+
+/**
+ * Normalize a list of keywords: keywords are trimmed, empty keywords are removed and duplicates are removed
+ * (case-insensitive, the first spelling is kept).
+ * @function normalizeKeywords
+ * @memberof keywords
+ * @param {Array<string>} keywordList - keywords
+ * @returns {Array<string>} normalized keywords
+ */
+export function normalizeKeywords(keywordList) {
+  const keywords = new Map();
+  for (const keyword of keywordList) {
+    const trimmed = String(keyword ?? '').trim();
+    const key = trimmed.toLowerCase();
+    if (trimmed && !keywords.has(key)) keywords.set(key, trimmed);
+  }
+  return [...keywords.values()];
+}
+
+/**
+ * Split a 'Keywords_txt' value into normalized keywords (see normalizeKeywords()).
+ * <br>Localized values ({ value, en, de }) are split per language.
+ * @function splitKeywords
+ * @memberof keywords
+ * @param {string|Object} value - 'Keywords_txt' value ('Keyword 1; Keyword 2' or localized value)
+ * @returns {Object} normalized keywords by language ('value' for a plain value), empty object if there are no
+ * keywords
+ */
+export function splitKeywords(value) {
+  if (!value) return {};
+  const entries = typeof value === 'object' ? Object.entries(value) : [['value', value]];
+  return Object.fromEntries(
+    entries
+      .map(([language, text]) => [language, normalizeKeywords(String(text ?? '').split(';'))])
+      .filter(([, keywords]) => keywords.length > 0)
+  );
+}
+
+/**
+ * Join keywords to a 'Keywords_txt' value ('Keyword 1; Keyword 2'). The keywords are normalized first.
+ * @function joinKeywords
+ * @memberof keywords
+ * @param {Array<string>} keywordList - keywords
+ * @returns {string} joined keywords, empty if there are no keywords
+ */
+export function joinKeywords(keywordList) {
+  return normalizeKeywords(keywordList).join(KEYWORD_SEPARATOR);
+}
+
+/**
+ * Combine the extracted keywords with the current keywords of a file according to the keyword policy.
+ * @function applyKeywordPolicy
+ * @memberof keywords
+ * @param {string} policy - keyword policy (see KEYWORD_POLICIES)
+ * @param {Array<string>} [current] - current keywords of the file
+ * @param {Array<string>} extracted - keywords extracted from the file
+ * @returns {Array<string>} normalized new keywords
+ */
+export function applyKeywordPolicy({ policy, current = [], extracted }) {
+  switch (policy) {
+    case 'merge':
+      return normalizeKeywords([...extracted, ...current]);
+    case 'append':
+      return normalizeKeywords([...current, ...extracted]);
+    default:
+      return normalizeKeywords(extracted);
+  }
+}
+
+/**
+ * Compare the current 'Keywords_txt' value of a file with the new value.
+ * <br>The values match if they have the same languages (or are both plain values) with the same normalized keywords,
+ * ignoring order, case and separators.
+ * @function keywordsMatch
+ * @memberof keywords
+ * @param {string|Object} current - current value (string or localized value)
+ * @param {string|Object} expected - new value (string or localized value)
+ * @returns {boolean} TRUE if the keywords match
+ */
+export function keywordsMatch(current, expected) {
+  const currentKeywords = splitKeywords(current);
+  const expectedKeywords = splitKeywords(expected);
+  const languages = Object.keys(expectedKeywords).sort();
+  if (languages.length === 0) return Object.keys(currentKeywords).length === 0;
+  if (Boolean(current) && typeof current !== typeof expected) return false;
+  if (JSON.stringify(Object.keys(currentKeywords).sort()) !== JSON.stringify(languages)) {
+    return false;
+  }
+  return languages.every((language) => {
+    const currentSet = new Set(currentKeywords[language].map((keyword) => keyword.toLowerCase()));
+    return (
+      currentSet.size === expectedKeywords[language].length &&
+      expectedKeywords[language].every((keyword) => currentSet.has(keyword.toLowerCase()))
+    );
+  });
+}
@@ -0,0 +1,162 @@
+// Imports
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import logger from './logger.js';
+import { getConfig } from './config.js';
+import { loadIndexSchema } from './schema.js';
+
+/**
+ * Namespace for all elements related to the localized (de/en) metadata of files in Empolis
+ * @namespace localization
+ */
+
+/**
+ * Attributes written with localized values
+ * @type {Array<string>}
+ * @memberof localization
+ * @private
+ */
+const LOCALIZED_ATTRIBUTES = ['Title', 'Keywords_txt'];
+
+/**
+ * Translations read from the translation files, by path of the file
+ * @type {Map<string, Map>}
+ * @memberof localization
+ * @private
+ */
+const translationCache = new Map();
+
+/**
+ * Prepare the localization of the metadata of the selected data source (LOCALIZATION in DATA_SOURCES).
+ * <br>The German values are taken from the German variant of each file (DE_DIR, extracted in the index) or from the
+ * translation mapping file (TRANSLATIONS). Title and Keywords_txt must have localized values in the index schema, the
+ * schema is not checked if SCHEMA_VALIDATION is false.
+ * @async
+ * @function prepareLocalization
+ * @memberof localization
+ * @returns {Promise<Object|null>} localized attributes (Set) and translations (Map of lower case English text to
+ * German text), null if LOCALIZATION is not configured
+ * @throws {Error} if Title or Keywords_txt have no localized values in the index schema
+ * @throws {Error} if the translation file cannot be read
+ * @requires schema
+ */
+export async function prepareLocalization() {
+  const config = getConfig();
+  const settings = config.SOURCE_CONFIG?.LOCALIZATION;
+  if (!settings) return null;
+
+  // Fail instead of silently writing English values only, if the index cannot store the German values
+  if (config.SCHEMA_VALIDATION !== false) {
+    const schemaAttributes = await loadIndexSchema();
+    const unsupported = LOCALIZED_ATTRIBUTES.filter(
+      (attribute) => !schemaAttributes[attribute]?.hasLocalizedValues
+    );
+    if (unsupported.length > 0) {
+      throw new Error(
+        `LOCALIZATION requires localized values in the index schema, not defined for` +
+          ` ${unsupported.join(', ')}`
+      );
+    }
+  }
+  return {
+    attributes: new Set(LOCALIZED_ATTRIBUTES),
+    translations: settings.TRANSLATIONS ? await loadTranslations(settings.TRANSLATIONS) : new Map(),
+  };
+}
+
+/**
+ * Read a translation mapping file (JSON object of English text to German text), relative to the configuration file.
+ * The file is read once.
+ * @async
+ * @function loadTranslations
+ * @memberof localization
+ * @param {string} translationFile - path of the translation file
+ * @returns {Promise<Map>} German text by lower case English text
+ * @throws {Error} if the file cannot be read or is not a JSON object
+ */
+export async function loadTranslations(translationFile) {
+  const filePath = path.resolve(path.dirname(getConfig().CONFIG_PATH ?? '.'), translationFile);
+  if (translationCache.has(filePath)) return translationCache.get(filePath);
+
+  const content = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  if (!content || typeof content !== 'object' || Array.isArray(content)) {
+    throw new Error(`${filePath} must contain a JSON object of English and German texts`);
+  }
+  const translations = new Map(
+    Object.entries(content).map(([english, german]) => [english.trim().toLowerCase(), german])
+  );
+  logger.info(`${translations.size} translations read from ${filePath}`);
+  translationCache.set(filePath, translations);
+  return translations;
+}
+
+/**
+ * Get the German title and keywords of a file.
+ * <br>The German variant of the file (see createFileIndex()) has priority. Otherwise, the title and each keyword are
+ * looked up in the translations; keywords without translation are kept in English.
+ * @function getGermanFields
+ * @memberof localization
+ * @param {Object} dataObject - index entry of the file
+ * @param {Array<string>} keywordList - English keywords of the file
+ * @param {Map} translations - translations (see loadTranslations())
+ * @returns {Object} German title (null if not available) and keywords (empty if not available)
+ */
+export function getGermanFields({ dataObject, keywordList, translations }) {
+  const translate = (text) => translations.get(text.trim().toLowerCase()) ?? null;
+  const germanTitle =
+    dataObject.de?.title ?? (dataObject.title ? translate(dataObject.title) : null);
+  if (dataObject.de?.breadcrumbs) {
+    return {
+      title: germanTitle,
+      keywords: [
+        ...dataObject.de.breadcrumbs,
+        ...(dataObject.keywords ?? []).map((keyword) => translate(keyword) ?? keyword),
+        ...(dataObject.documentNumbers ?? []),
+      ],
+    };
+  }
+  // Only build German keywords if at least one keyword is translated
+  if (!keywordList.some((keyword) => translate(keyword))) {
+    return { title: germanTitle, keywords: [] };
+  }
+  return {
+    title: germanTitle,
+    keywords: keywordList.map((keyword) => translate(keyword) ?? keyword),
+  };
+}
+
+/**
+ * Build the value of a localized attribute from the English and German values.
+ * @function localizeValue
+ * @memberof localization
+ * @param {string} value - English value
+ * @param {string} [germanValue] - German value
+ * @returns {string|Object} localized value ({ value, en, de }), or the English value if no German value is available
+ */
+export function localizeValue({ value, germanValue }) {
+  if (!germanValue || !value) return value;
+  return { value, en: value, de: germanValue };
+}
+
+/**
+ * Compare the current value of a text attribute with the new value (case-insensitive).
+ * <br>Localized values match if they have the same languages with the same texts.
+ * @function textMatches
+ * @memberof localization
+ * @param {string|Object} current - current value (string or localized value)
+ * @param {string|Object} expected - new value (string or localized value)
+ * @returns {boolean} TRUE if the values match
+ */
+export function textMatches(current, expected) {
+  if (!current || !expected) return false;
+  if (typeof current !== typeof expected) return false;
+  if (typeof expected === 'string') return current.toLowerCase() === expected.toLowerCase();
+  const currentKeys = Object.keys(current).sort();
+  const expectedKeys = Object.keys(expected).sort();
+  return (
+    JSON.stringify(currentKeys) === JSON.stringify(expectedKeys) &&
+    expectedKeys.every(
+      (key) => String(current[key]).toLowerCase() === String(expected[key]).toLowerCase()
+    )
+  );
+}
@@ -93,7 +93,13 @@ export default logger;
  * @param {object} response the response from a got() request
  */
 export function logResponse(response, logEntryTitle = 'got() response') {
-  const formattedBody = JSON.stringify(JSON.parse(response.body), null, 2);
+  let formattedBody;
+  try {
+    formattedBody = JSON.stringify(JSON.parse(response.body), null, 2);
+  } catch {
+    // Log non-JSON (or empty) response bodies as they are
+    formattedBody = String(response.body ?? '');
+  }
 
   logger.debug(`${logEntryTitle}:
     statusCode: ${response.statusCode}
@@ -0,0 +1,90 @@
+// Imports
+import { setTimeout as sleep } from 'node:timers/promises';
+import logger from './logger.js';
+
+/**
+ * Namespace for all elements related to concurrent processing and rate limiting of Empolis API requests
+ * @namespace pipeline
+ */
+
+/**
+ * Rate limit shared by all Empolis API requests
+ * @type {Object}
+ * @property {number} interval - minimum interval between two requests in ms (0 = no limit)
+ * @property {number} nextSlot - time (ms since epoch) from which the next request may be sent
+ * @memberof pipeline
+ * @private
+ */
+const rateLimit = {
+  interval: 0,
+  nextSlot: 0,
+};
+
+/**
+ * Configure the maximum number of Empolis API requests per second
+ * @function configureRateLimit
+ * @memberof pipeline
+ * @param {number} [requestsPerSecond] - maximum number of requests per second (no limit if not set or 0)
+ */
+export function configureRateLimit(requestsPerSecond) {
+  rateLimit.interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+  rateLimit.nextSlot = 0;
+  logger.debug(`Rate limit configured: ${requestsPerSecond || 'unlimited'} requests per second`);
+}
+
+/**
+ * Wait until the next Empolis API request may be sent according to the configured rate limit.
+ * <br>Slots are reserved synchronously, so concurrent workers are spaced evenly.
+ * @async
+ * @function waitForRateLimit
+ * @memberof pipeline
+ * @returns {Promise<null>}
+ */
+export async function waitForRateLimit() {
+  if (!rateLimit.interval) return null;
+  const now = Date.now();
+  const slot = Math.max(now, rateLimit.nextSlot);
+  rateLimit.nextSlot = slot + rateLimit.interval;
+  if (slot > now) await sleep(slot - now);
+  return null;
+}
+
+/**
+ * Process a list of items with a pool of concurrent workers.
+ * <br>The results are passed to 'onResult' in the order of the items (not in the order of completion), so that the
+ * progress is reported in a stable order.
+ * @async
+ * @function runWorkerPool
+ * @memberof pipeline
+ * @param {Array} items - items to process
+ * @param {number} [concurrency=1] - number of concurrent workers
+ * @param {Function} worker - async function called with (item, position), returns the result of the item
+ * @param {Function} [onResult] - function called with ({ item, value, error }, position) in the order of the items
+ * @returns {Promise<Array<Object>>} result of each item ({ item, value } or { item, error }) in the order of the items
+ */
+export async function runWorkerPool({ items, concurrency = 1, worker, onResult }) {
+  const results = new Array(items.length);
+  let nextItem = 0;
+  let nextResult = 0;
+
+  const runWorker = async () => {
+    while (nextItem < items.length) {
+      const position = nextItem++;
+      const item = items[position];
+      try {
+        results[position] = { item, value: await worker(item, position) };
+      } catch (error) {
+        results[position] = { item, error };
+      }
+      // Report all results that are complete up to the first pending item
+      while (nextResult < items.length && results[nextResult]) {
+        onResult?.(results[nextResult], nextResult);
+        nextResult++;
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(Number(concurrency) || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return results;
+}
@@ -0,0 +1,129 @@
+// Imports
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import chalk from 'chalk';
+import logger from './logger.js';
+import { getConfig } from './config.js';
+import { toCsv } from './helpers.js';
+import { buildDownloadLink, searchDataSourceRecords, stripHighlights } from './empolis_search.js';
+
+/**
+ * Namespace for all elements related to the reconciliation of a local data source with the Empolis index
+ * @namespace reconcile
+ */
+
+/**
+ * Columns of the CSV reconciliation report
+ * @type {Array<string>}
+ * @memberof reconcile
+ * @private
+ */
+const REPORT_COLUMNS = ['status', 'filename', 'downloadLink', 'title'];
+
+/**
+ * Compare the local files of the selected data source with the records of the data source in the Empolis index.
+ * <br>All records of the data source are read page by page ('Source' attribute, limited to the storage location
+ * DATA_SOURCE). Records of the same document (e.g. split pages) are counted once. Files and records are matched by
+ * their 'DownloadLink' (case-insensitive):
+ * <br>- matched: local file with record in Empolis
+ * <br>- missing: local file without record (never ingested)
+ * <br>- orphaned: record without local file (source file removed)
+ * <br>The result is written as CSV and JSON next to the index file.
+ * @async
+ * @function reconcileDataSource
+ * @memberof reconcile
+ * @param {Array<string>} fileList - paths of the local files, relative to the data source directory
+ * @param {string} indexFile - path of the index file of the data source (location of the reports)
+ * @returns {Promise<Object>} summary (number of matched, missing and orphaned files) and paths of the reports
+ * @requires empolis_search
+ */
+export async function reconcileDataSource({ fileList, indexFile }) {
+  logger.debug(`reconcileDataSource() started`);
+  const config = getConfig();
+  const locationPrefix = `${config.DATA_SOURCE.replace(/\/+$/, '')}/`.toLowerCase();
+
+  console.log(`  Reading the records of '${config.dataSourceSelection}' from the Empolis index...`);
+  const records = await searchDataSourceRecords({ resultAttributes: ['Title', 'FileName'] });
+  const remoteRecords = new Map(
+    records.map((record) => [record.DownloadLink.toLowerCase(), record])
+  );
+
+  const entries = [];
+  for (const filename of fileList) {
+    const downloadLink = buildDownloadLink({ dataSource: config.DATA_SOURCE, filename });
+    const record = remoteRecords.get(downloadLink.toLowerCase());
+    remoteRecords.delete(downloadLink.toLowerCase());
+    entries.push({
+      status: record ? 'matched' : 'missing',
+      filename,
+      downloadLink,
+      title: record ? stripHighlights(record.Title ?? '') : null,
+    });
+  }
+  for (const record of remoteRecords.values()) {
+    entries.push({
+      status: 'orphaned',
+      filename: decodePath(record.DownloadLink.slice(locationPrefix.length)),
+      downloadLink: record.DownloadLink,
+      title: stripHighlights(record.Title ?? ''),
+    });
+  }
+
+  const summary = { matched: 0, missing: 0, orphaned: 0 };
+  for (const entry of entries) summary[entry.status]++;
+
+  // Write the reports next to the index file
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const reportBase = path.join(
+    path.dirname(indexFile),
+    `reconcile_${config.dataSourceSelection}_${timestamp}`
+  );
+  const jsonReport = `${reportBase}.json`;
+  const csvReport = `${reportBase}.csv`;
+  await fs.mkdir(path.dirname(indexFile), { recursive: true });
+  await fs.writeFile(
+    jsonReport,
+    JSON.stringify(
+      {
+        dataSource: config.dataSourceSelection,
+        createdAt: new Date().toISOString(),
+        summary,
+        missing: entries.filter((entry) => entry.status === 'missing'),
+        orphaned: entries.filter((entry) => entry.status === 'orphaned'),
+        matched: entries.filter((entry) => entry.status === 'matched'),
+      },
+      null,
+      2
+    )
+  );
+  await fs.writeFile(csvReport, toCsv(entries, REPORT_COLUMNS, config.CSV_DELIMITER ?? ','));
+
+  console.log(
+    `${summary.missing || summary.orphaned ? chalk.yellow('!') : chalk.green('√')}` +
+      ` Reconciliation of '${config.dataSourceSelection}' data source` +
+      ` (matched: ${chalk.cyan(summary.matched)}, missing in Empolis: ${chalk.cyan(summary.missing)},` +
+      ` orphaned in Empolis: ${chalk.cyan(summary.orphaned)})` +
+      `\n  Report written to ${chalk.cyan(csvReport)} and ${chalk.cyan(jsonReport)}`
+  );
+  logger.info(
+    `Reconciliation of '${config.dataSourceSelection}' data source (matched: ${summary.matched},` +
+      ` missing: ${summary.missing}, orphaned: ${summary.orphaned}), reports: ${csvReport}, ${jsonReport}`
+  );
+  return { summary, csvReport, jsonReport };
+}
+
+/**
+ * Decode the URL encoded path of a record relative to the storage location of the data source
+ * @function decodePath
+ * @memberof reconcile
+ * @private
+ * @param {string} encodedPath - URL encoded path
+ * @returns {string} decoded path, or the encoded path if it cannot be decoded
+ */
+function decodePath(encodedPath) {
+  try {
+    return decodeURIComponent(encodedPath);
+  } catch {
+    return encodedPath;
+  }
+}
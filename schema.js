@@ -0,0 +1,196 @@
+// Imports
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import logger from './logger.js';
+import { getConfig } from './config.js';
+import { empolisRequest } from './empolis_client.js';
+import { MetadataValidationError } from './errors.js';
+
+/**
+ * Namespace for all elements related to the validation of metadata against the Empolis index schema
+ * @namespace schema
+ */
+
+/**
+ * Attributes of the STORE metadata that are not defined in the index schema, accepted if SCHEMA_EXTRA_ATTRIBUTES is not
+ * configured
+ * @type {Array<string>}
+ * @memberof schema
+ * @private
+ */
+const DEFAULT_EXTRA_ATTRIBUTES = ['SourceType', 'FileFolder', 'FileExtension'];
+
+/**
+ * Attribute definitions of the index schema, loaded once per SCHEMA_FILE by loadIndexSchema()
+ * @type {Map<string, Object>}
+ * @memberof schema
+ * @private
+ */
+const schemaCache = new Map();
+
+/**
+ * Load the attribute definitions of the Empolis index 'project1_p'.
+ * <br>The index definition is read from the cached file SCHEMA_FILE (relative to the configuration file). If the file
+ * does not exist, the definition is requested from the IAS API and saved to SCHEMA_FILE. Delete the file to load the
+ * current definition again.
+ * <br>See ['Get Index' documentation]{@link https://yaskawa2.esc-eu-central-1.empolisservices.com/doc/api/ias/index.html#tag/Index-Management/operation/IasIndexIndexNameGet}.
+ * @async
+ * @function loadIndexSchema
+ * @memberof schema
+ * @returns {Promise<Object>} attribute definitions (dataType, cardinality, hasLocalizedValues, ...) by attribute name
+ * @throws {Error} if the index definition contains no attributes
+ * @throws {EmpolisApiError|EmpolisNetworkError} if the index definition cannot be requested
+ * @requires empolis_client
+ */
+export async function loadIndexSchema() {
+  const config = getConfig();
+  const schemaFile = config.SCHEMA_FILE
+    ? path.resolve(path.dirname(config.CONFIG_PATH ?? '.'), config.SCHEMA_FILE)
+    : null;
+  if (schemaCache.has(schemaFile)) return schemaCache.get(schemaFile);
+
+  let indexDefinition = null;
+  if (schemaFile) {
+    indexDefinition = await fs
+      .readFile(schemaFile, 'utf8')
+      .then((content) => JSON.parse(content))
+      .catch(() => null);
+  }
+  if (indexDefinition) {
+    logger.info(`Index schema read from ${schemaFile}`);
+  } else {
+    const response = await empolisRequest({
+      service: 'ias',
+      endpoint: 'index/project1_p',
+      logTitle: 'loadIndexSchema() response',
+    });
+    indexDefinition = response.body;
+    if (schemaFile) {
+      await fs.writeFile(schemaFile, JSON.stringify(indexDefinition, null, 2));
+      logger.info(`Index schema requested from the IAS API and saved to ${schemaFile}`);
+    }
+  }
+
+  const attributes = indexDefinition?.schema?.attributes ?? indexDefinition?.attributes;
+  if (!attributes || typeof attributes !== 'object') {
+    throw new Error('The index definition contains no attribute definitions');
+  }
+  schemaCache.set(schemaFile, attributes);
+  return attributes;
+}
+
+/**
+ * Validate metadata against the attribute definitions of the index schema.
+ * <br>- Attributes must be defined in the schema. Internal attributes ('_*') and SCHEMA_EXTRA_ATTRIBUTES are accepted.
+ * <br>- Attributes with cardinality 'multi' require an array, all other attributes a single value.
+ * <br>- Values must match the dataType: 'string' and 'text' (string), 'int', 'float', 'boolean', 'date'
+ * ('YYYY-MM-DD') and 'timestamp' (ISO 8601 string or number).
+ * <br>- Localized values ({ value, de, en }) are only accepted for attributes with localized values, and must hold
+ * strings for 'value' and language codes only.
+ * <br>Empty values (null) are not validated.
+ * @function validateMetadata
+ * @memberof schema
+ * @param {Object} metadata - metadata of a file
+ * @param {Object} attributes - attribute definitions of the index schema (see loadIndexSchema())
+ * @param {Array<string>} [extraAttributes] - additional accepted attributes (default: SCHEMA_EXTRA_ATTRIBUTES)
+ * @returns {Array<string>} validation error of each invalid attribute, empty if the metadata is valid
+ */
+export function validateMetadata({ metadata, attributes, extraAttributes = null }) {
+  const acceptedAttributes =
+    extraAttributes ?? getConfig().SCHEMA_EXTRA_ATTRIBUTES ?? DEFAULT_EXTRA_ATTRIBUTES;
+  const errors = [];
+  for (const [attribute, value] of Object.entries(metadata)) {
+    if (attribute.startsWith('_') || value === null || value === undefined) continue;
+    const definition = attributes[attribute];
+    if (!definition) {
+      if (!acceptedAttributes.includes(attribute)) {
+        errors.push(`'${attribute}' is not defined in the index schema`);
+      }
+      continue;
+    }
+
+    if (definition.cardinality === 'multi') {
+      if (!Array.isArray(value)) {
+        errors.push(`'${attribute}' has multiple values and must be an array`);
+        continue;
+      }
+    } else if (Array.isArray(value)) {
+      errors.push(`'${attribute}' has a single value and must not be an array`);
+      continue;
+    }
+    for (const item of [value].flat()) {
+      const error = validateValue({ item, definition });
+      if (error) {
+        errors.push(`'${attribute}' ${error} (${JSON.stringify(item)})`);
+        break;
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate metadata against the index schema before it is posted to Empolis (see validateMetadata()).
+ * <br>The validation is skipped if SCHEMA_VALIDATION is false.
+ * @async
+ * @function assertValidMetadata
+ * @memberof schema
+ * @param {Object} metadata - metadata of a file
+ * @returns {Promise<null>}
+ * @throws {MetadataValidationError} listing all invalid attributes
+ */
+export async function assertValidMetadata({ metadata }) {
+  if (getConfig().SCHEMA_VALIDATION === false) return null;
+  const errors = validateMetadata({ metadata, attributes: await loadIndexSchema() });
+  if (errors.length > 0) {
+    throw new MetadataValidationError({ filePath: metadata.FilePath, errors });
+  }
+  return null;
+}
+
+/**
+ * Validate a single value against the dataType and localization of its attribute
+ * @function validateValue
+ * @memberof schema
+ * @private
+ * @param {*} item - single value
+ * @param {Object} definition - attribute definition of the index schema
+ * @returns {string|null} validation error, null if the value is valid
+ */
+function validateValue({ item, definition }) {
+  if (item && typeof item === 'object') {
+    if (!definition.hasLocalizedValues) return 'has no localized values';
+    const entries = Object.entries(item);
+    if (entries.length === 0) return 'has an empty localized value';
+    for (const [key, localizedValue] of entries) {
+      if (key !== 'value' && !/^[a-z]{2}(?:[-_][A-Za-z]{2})?$/.test(key)) {
+        return `has an invalid language '${key}' in a localized value`;
+      }
+      if (typeof localizedValue !== 'string') return `must have string localized values`;
+    }
+    return null;
+  }
+
+  switch (definition.dataType) {
+    case 'string':
+    case 'text':
+      return typeof item === 'string' ? null : 'must be a string';
+    case 'int':
+      return Number.isInteger(item) ? null : 'must be an integer';
+    case 'float':
+      return typeof item === 'number' && Number.isFinite(item) ? null : 'must be a number';
+    case 'boolean':
+      return typeof item === 'boolean' ? null : 'must be true or false';
+    case 'date':
+      return typeof item === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(item)
+        ? null
+        : `must be a date ('YYYY-MM-DD')`;
+    case 'timestamp':
+      return typeof item === 'number' ||
+        (typeof item === 'string' && !Number.isNaN(Date.parse(item)))
+        ? null
+        : 'must be a timestamp';
+    default:
+      return null;
+  }
+}
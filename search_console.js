@@ -0,0 +1,426 @@
+// Imports
+import util from 'node:util';
+import chalk from 'chalk';
+import { input, select } from '@inquirer/prompts';
+import logger from './logger.js';
+import { getConfig } from './config.js';
+import { getSourceId, indexSearch, searchAllRecords, stripHighlights } from './empolis_search.js';
+import { getFileMetadata } from './empolis_ops.js';
+import { flattenRecord } from './export.js';
+import { toTaxonomyPath } from './taxonomy.js';
+
+/**
+ * Namespace for all elements related to the full-text search console
+ * @namespace searchConsole
+ */
+
+/**
+ * Filters of the search console. 'visibility' filters the 'ese_VisibilityLevel' attribute by the name of an access
+ * level (see ACCESS_LEVELS) or by the level number.
+ * @type {Array<string>}
+ * @memberof searchConsole
+ */
+export const SEARCH_FILTERS = ['Category', 'product', 'doctype', 'Language', 'visibility'];
+
+/**
+ * Attributes returned for each search result
+ * @type {Array<string>}
+ * @memberof searchConsole
+ * @private
+ */
+const RESULT_ATTRIBUTES = ['Title', 'FileName', 'Category', 'Language', 'DownloadLink'];
+
+/**
+ * Taxonomy attributes, their filter values are converted to taxonomy paths (see toTaxonomyPath())
+ * @type {Array<string>}
+ * @memberof searchConsole
+ * @private
+ */
+const TAXONOMY_FILTERS = ['product', 'doctype'];
+
+/**
+ * Maximum length of the abstract shown for each search result
+ * @type {number}
+ * @memberof searchConsole
+ * @private
+ */
+const ABSTRACT_LENGTH = 300;
+
+/**
+ * Parse search filter expressions ('attribute=value').
+ * <br>The attribute names are case-insensitive. Several values of the same attribute are combined with OR, different
+ * attributes with AND.
+ * @function parseSearchFilters
+ * @memberof searchConsole
+ * @param {Array<string>} expressions - filter expressions (e.g. ['product=Motion > Drives', 'Language=en'])
+ * @returns {Object} filter values by attribute (see SEARCH_FILTERS)
+ * @throws {Error} if an expression has no value or the attribute cannot be filtered
+ */
+export function parseSearchFilters(expressions = []) {
+  const filters = {};
+  for (const expression of expressions) {
+    const separator = expression.indexOf('=');
+    const name = expression.slice(0, Math.max(separator, 0)).trim();
+    const value = expression.slice(separator + 1).trim();
+    if (separator < 0 || !name || !value) {
+      throw new Error(`Invalid filter '${expression}', use attribute=value`);
+    }
+    const attribute = SEARCH_FILTERS.find((filter) => filter.toLowerCase() === name.toLowerCase());
+    if (!attribute) {
+      throw new Error(`Unknown filter '${name}', use ${SEARCH_FILTERS.join(', ')}`);
+    }
+    filters[attribute] = [...(filters[attribute] ?? []), value];
+  }
+  return filters;
+}
+
+/**
+ * Build the query object of a full-text search (see indexSearch()).
+ * <br>The search text is passed as natural language query ({ nlq }), the filters as value filter queries. The
+ * conditions are combined with AND, several values of the same filter with OR.
+ * @function buildSearchQuery
+ * @memberof searchConsole
+ * @param {string} [text] - search text
+ * @param {Object} [filters] - filter values by attribute (see parseSearchFilters())
+ * @param {string} [sourceId] - storage id of a data source to search in (see getSourceId()), all data sources if not
+ * set
+ * @returns {Object} query object
+ * @throws {Error} if neither a search text nor a filter is given, or a visibility filter is not an access level
+ */
+export function buildSearchQuery({ text = '', filters = {}, sourceId = null }) {
+  const config = getConfig();
+  const conditions = [];
+  if (text?.trim()) conditions.push({ nlq: text.trim() });
+  for (const [attribute, values] of Object.entries(filters)) {
+    const valueQueries = values.map((value) => {
+      if (attribute === 'visibility') {
+        const accessLevel = Object.entries(config.ACCESS_LEVELS ?? {}).find(
+          ([name]) => name.toLowerCase() === value.toLowerCase()
+        );
+        const level = accessLevel?.[1].VISIBILITY_LEVEL ?? Number(value);
+        if (!Number.isInteger(Number(level))) {
+          throw new Error(`Unknown access level '${value}' (see ACCESS_LEVELS)`);
+        }
+        return { attribute: 'ese_VisibilityLevel', value: Number(level) };
+      }
+      return {
+        attribute,
+        value: TAXONOMY_FILTERS.includes(attribute) ? toTaxonomyPath(value) : value,
+      };
+    });
+    if (valueQueries.length > 0) {
+      conditions.push(valueQueries.length === 1 ? valueQueries[0] : { or: valueQueries });
+    }
+  }
+  if (conditions.length === 0) throw new Error('Enter a search text or a filter');
+  if (sourceId) conditions.push({ attribute: 'Source', value: sourceId });
+  return conditions.length === 1 ? conditions[0] : { and: conditions };
+}
+
+/**
+ * Search a page of results in the Empolis index.
+ * <br>If a data source is selected, only its records are searched.
+ * @async
+ * @function searchPage
+ * @memberof searchConsole
+ * @param {string} [text] - search text
+ * @param {Object} [filters] - filter values by attribute (see parseSearchFilters())
+ * @param {number} [page=0] - page number, starting with 0
+ * @param {number} [pageSize=10] - number of results per page
+ * @returns {Promise<Object>} 'queryObject', 'records' of the page, total number of 'records' and 'documents', 'page'
+ * and 'pageCount'
+ * @throws {EmpolisApiError|EmpolisNetworkError} if the search request fails
+ */
+export async function searchPage({ text = '', filters = {}, page = 0, pageSize = 10 }) {
+  const config = getConfig();
+  const queryObject = buildSearchQuery({
+    text,
+    filters,
+    sourceId: config.dataSourceSelection ? getSourceId(config.DATA_SOURCE) : null,
+  });
+  logger.info(`Search page ${page + 1}: ${JSON.stringify(queryObject)}`);
+  const searchResults = await indexSearch({
+    queryObject,
+    queryParameters: {
+      resultAttributes: RESULT_ATTRIBUTES,
+      offset: page * pageSize,
+      maxCount: pageSize,
+    },
+  });
+  const total = searchResults.numberOfTotalRecords ?? searchResults.records?.length ?? 0;
+  return {
+    queryObject,
+    records: searchResults.records ?? [],
+    total,
+    documents: searchResults.numberOfTotalDocuments ?? null,
+    page,
+    pageCount: Math.ceil(total / pageSize),
+  };
+}
+
+/**
+ * Count the values of attributes in the search results (facets).
+ * <br>The values are counted in the first 'maxRecords' results. Taxonomy paths are counted per path, including the
+ * parent paths listed by Empolis.
+ * @async
+ * @function countFacets
+ * @memberof searchConsole
+ * @param {Object} queryObject - query object of the search (see buildSearchQuery())
+ * @param {Array<string>} [attributes] - attributes to count (default: the filter attributes)
+ * @param {number} [maxRecords=1000] - maximum number of results to count
+ * @returns {Promise<Object>} number of counted 'records', and the 'facets' by attribute (values with their count,
+ * most frequent first)
+ * @throws {EmpolisApiError|EmpolisNetworkError} if a search request fails
+ */
+export async function countFacets({
+  queryObject,
+  attributes = ['Category', 'product', 'doctype', 'Language', 'ese_VisibilityLevel'],
+  maxRecords = 1000,
+}) {
+  const config = getConfig();
+  const records = await searchAllRecords({
+    queryObject,
+    resultAttributes: attributes,
+    pageSize: config.SEARCH_PAGE_SIZE ?? 100,
+    maxRecords,
+  });
+  const facets = {};
+  for (const attribute of attributes) {
+    const counts = new Map();
+    for (const record of records) {
+      for (const value of new Set(facetValues(record[attribute]))) {
+        counts.set(value, (counts.get(value) ?? 0) + 1);
+      }
+    }
+    facets[attribute] = [...counts]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  }
+  return { records: records.length, facets };
+}
+
+/**
+ * Run the full-text search console.
+ * <br>The results are shown page by page with their Title, score and highlighted abstract. A result can be selected
+ * to show the full metadata of its file. With 'facets', the value counts of the filter attributes are shown for each
+ * new search.
+ * @async
+ * @function runSearchConsole
+ * @memberof searchConsole
+ * @param {string} [text] - search text (prompted with the filters if neither text nor filters are given)
+ * @param {Object} [filters] - filter values by attribute (see parseSearchFilters())
+ * @param {boolean} [facets=false] - show the facet counts
+ * @returns {Promise<boolean>} TRUE if the last search found results
+ * @requires select
+ * @requires input
+ */
+export async function runSearchConsole({ text = '', filters = {}, facets = false }) {
+  const config = getConfig();
+  const pageSize = config.SEARCH_CONSOLE_PAGE_SIZE ?? 10;
+  let search = text || Object.keys(filters).length > 0 ? { text, filters } : await promptSearch();
+  let page = 0;
+  let showFacets = facets;
+
+  for (;;) {
+    const results = await searchPage({ ...search, page, pageSize });
+    if (showFacets) {
+      printFacets(
+        await countFacets({
+          queryObject: results.queryObject,
+          maxRecords: config.SEARCH_FACET_RECORDS ?? 1000,
+        })
+      );
+      showFacets = false;
+    }
+    printResults(results, pageSize);
+
+    const action = await select({
+      message: 'Select a result to show its metadata, or an action:',
+      pageSize: pageSize + 4,
+      choices: [
+        ...results.records.map((record, i) => ({
+          name: `${page * pageSize + i + 1}. ${flattenRecord(record, ['Title']).Title ?? record.DownloadLink}`,
+          value: i,
+        })),
+        ...(page + 1 < results.pageCount ? [{ name: 'Next page', value: 'next' }] : []),
+        ...(page > 0 ? [{ name: 'Previous page', value: 'previous' }] : []),
+        { name: 'New search', value: 'new' },
+        { name: 'Exit', value: 'exit' },
+      ],
+    });
+    if (action === 'exit') return results.total > 0;
+    if (action === 'next') page++;
+    if (action === 'previous') page--;
+    if (action === 'new') {
+      search = await promptSearch();
+      page = 0;
+      showFacets = facets;
+    }
+    if (typeof action === 'number') await printRecordMetadata(results.records[action]);
+  }
+}
+
+/**
+ * Prompt the user for the search text and filters
+ * @async
+ * @function promptSearch
+ * @memberof searchConsole
+ * @private
+ * @returns {Promise<Object>} search text and filters
+ */
+async function promptSearch() {
+  const text = await input({ message: 'Search text (natural language query):' });
+  const expressions = await input({
+    message: `Filters (${SEARCH_FILTERS.join(', ')}), e.g. 'product=Motion > Drives; Language=en':`,
+    validate: (value) => {
+      try {
+        const filters = parseSearchFilters(splitFilterExpressions(value));
+        return text.trim() || Object.keys(filters).length > 0 || 'Enter a search text or a filter';
+      } catch (error) {
+        return error.message;
+      }
+    },
+  });
+  return { text, filters: parseSearchFilters(splitFilterExpressions(expressions)) };
+}
+
+/**
+ * Split the filters entered in the console ('attribute=value; attribute=value')
+ * @function splitFilterExpressions
+ * @memberof searchConsole
+ * @private
+ * @param {string} value - entered filters
+ * @returns {Array<string>} filter expressions
+ */
+function splitFilterExpressions(value) {
+  return value
+    .split(';')
+    .map((expression) => expression.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Print a page of search results with Title, score, file, category, language and highlighted abstract
+ * @function printResults
+ * @memberof searchConsole
+ * @private
+ * @param {Object} results - search results (see searchPage())
+ * @param {number} pageSize - number of results per page
+ * @returns {null}
+ */
+function printResults(results, pageSize) {
+  if (results.total === 0) {
+    console.log(`${chalk.red('X')} No results`);
+    return null;
+  }
+  const first = results.page * pageSize + 1;
+  console.log(
+    `\n  Results ${chalk.cyan(first)}-${chalk.cyan(first + results.records.length - 1)} of` +
+      ` ${chalk.cyan(results.total)} records` +
+      `${results.documents !== null ? ` (${chalk.cyan(results.documents)} documents)` : ''},` +
+      ` page ${results.page + 1} of ${results.pageCount}\n`
+  );
+  results.records.forEach((record, i) => {
+    const { Title, FileName, Category, Language } = flattenRecord(record, RESULT_ATTRIBUTES);
+    const score = typeof record._score === 'number' ? record._score.toFixed(3) : '-';
+    const title = highlightHits(typeof record.Title === 'string' ? record.Title : (Title ?? ''));
+    console.log(`  ${chalk.cyan(`${first + i}.`)} ${title} ${chalk.gray(`(score ${score})`)}`);
+    console.log(`     ${chalk.gray([FileName, Category, Language].filter(Boolean).join(' | '))}`);
+    const abstract = formatAbstract(record.abstract?.Content ?? record.Content ?? '');
+    if (abstract) console.log(`     ${highlightHits(abstract)}`);
+  });
+  console.log('');
+  return null;
+}
+
+/**
+ * Print the facet counts of a search
+ * @function printFacets
+ * @memberof searchConsole
+ * @private
+ * @param {Object} facetCounts - counted records and facets (see countFacets())
+ * @returns {null}
+ */
+function printFacets({ records, facets }) {
+  console.log(`\n  Facets (${chalk.cyan(records)} results counted):`);
+  for (const [attribute, values] of Object.entries(facets)) {
+    if (values.length === 0) continue;
+    console.log(`  ${attribute}:`);
+    for (const { value, count } of values.slice(0, 10)) {
+      console.log(`    ${chalk.cyan(String(count).padStart(5))}  ${value}`);
+    }
+    if (values.length > 10) console.log(`           ... ${values.length - 10} more values`);
+  }
+  return null;
+}
+
+/**
+ * Print the full metadata of the file of a search result (see getFileMetadata())
+ * @async
+ * @function printRecordMetadata
+ * @memberof searchConsole
+ * @private
+ * @param {Object} record - search result
+ * @returns {Promise<null>}
+ */
+async function printRecordMetadata(record) {
+  try {
+    const metadata = await getFileMetadata({ path: record.DownloadLink });
+    console.log(
+      `\n  Metadata of ${chalk.cyan(stripHighlights(record.FileName ?? record.DownloadLink))}:\n` +
+        `${util.inspect(metadata, { depth: null, colors: true })}\n`
+    );
+  } catch (error) {
+    logger.error(`printRecordMetadata() Error:\n${error}`);
+    console.log(`${chalk.red('X')} Failed to get the metadata of the file: ${error.message}`);
+  }
+  return null;
+}
+
+/**
+ * Shorten the abstract of a search result to ABSTRACT_LENGTH characters, starting shortly before the first hit
+ * @function formatAbstract
+ * @memberof searchConsole
+ * @private
+ * @param {string} text - abstract with &lt;hit&gt; highlighting
+ * @returns {string} shortened abstract on a single line
+ */
+function formatAbstract(text) {
+  const collapsed = text.replace(/\s+/g, ' ').trim();
+  const firstHit = collapsed.indexOf('<hit>');
+  const start = Math.max(0, Math.min(firstHit - 60, collapsed.length - ABSTRACT_LENGTH));
+  let abstract = collapsed.slice(start, start + ABSTRACT_LENGTH);
+  // Do not cut highlighting tags
+  abstract = abstract.replace(/<\/?h?i?t?$/, '').replace(/^\/?h?i?t?>/, '');
+  return `${start > 0 ? '...' : ''}${abstract}${start + ABSTRACT_LENGTH < collapsed.length ? '...' : ''}`;
+}
+
+/**
+ * Highlight the search hits (&lt;hit&gt; tags) of a search result value in the console
+ * @function highlightHits
+ * @memberof searchConsole
+ * @private
+ * @param {string} value - search result value
+ * @returns {string} value with highlighted hits
+ */
+function highlightHits(value) {
+  // Hits cut off by the abstract are closed at the end
+  return `${value}</hit>`
+    .replace(/<hit>(.*?)<\/hit>/g, (match, hit) => chalk.bold.yellow(hit))
+    .replace(/<\/?hit>/g, '');
+}
+
+/**
+ * Get the values of an attribute of a search result to count as facets
+ * @function facetValues
+ * @memberof searchConsole
+ * @private
+ * @param {*} value - attribute value (single, multi-value, localized or taxonomy path)
+ * @returns {Array<string>} readable values (taxonomy paths as 'Level 1 > Level 2')
+ */
+function facetValues(value) {
+  if (value === null || value === undefined || value === '') return [];
+  if (Array.isArray(value)) return value.flatMap(facetValues);
+  if (typeof value === 'object') return facetValues(value.value ?? value.en);
+  return [stripHighlights(String(value)).split('\u001F').join(' > ')];
+}
@@ -0,0 +1,122 @@
+// Imports
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import logger from './logger.js';
+import { fileExists } from './helpers.js';
+
+/**
+ * Namespace for all elements related to the snapshots of the original metadata of files before an update
+ * @namespace snapshots
+ */
+
+/**
+ * Name of the snapshot directory, stored next to the index file
+ * @type {string}
+ * @memberof snapshots
+ */
+export const SNAPSHOT_DIRECTORY = 'snapshots';
+
+/**
+ * Open the snapshot store of a metadata update run.
+ * <br>The snapshots of a run are stored in a JSON Lines file '&lt;runId&gt;.jsonl' in the snapshot directory next to
+ * the index file. Each line holds the original metadata of one file, saved before the metadata is written. A resumed
+ * run continues the snapshot file of the run.
+ * @async
+ * @function openSnapshotStore
+ * @memberof snapshots
+ * @param {string} indexFile - path of the index file of the data source
+ * @param {string} runId - id of the run (see openJournal())
+ * @returns {Promise<Object>} snapshot store with runId and path
+ */
+export async function openSnapshotStore({ indexFile, runId }) {
+  const snapshotDirectory = path.join(path.dirname(indexFile), SNAPSHOT_DIRECTORY);
+  await fs.mkdir(snapshotDirectory, { recursive: true });
+  const store = {
+    runId,
+    path: path.join(snapshotDirectory, `${runId}.jsonl`),
+    writeQueue: Promise.resolve(),
+  };
+  // Terminate an incomplete last line of an interrupted run, so that new snapshots are appended on a new line
+  const content = await fs.readFile(store.path, 'utf8').catch(() => '');
+  if (content && !content.endsWith('\n')) await fs.appendFile(store.path, '\n');
+  logger.info(`Original metadata of run ${runId} is saved to ${store.path}`);
+  return store;
+}
+
+/**
+ * Save the original metadata of a file in the snapshot store.
+ * <br>Unlike the journal, a failed write is not ignored: the metadata of the file must not be modified without
+ * snapshot.
+ * @async
+ * @function saveSnapshot
+ * @memberof snapshots
+ * @param {Object} store - snapshot store of the run (see openSnapshotStore())
+ * @param {string} filename - path of the file relative to the data source directory
+ * @param {string} downloadLink - 'DownloadLink' of the file in Empolis
+ * @param {Object} metadata - original metadata of the file (see getFileMetadata())
+ * @returns {Promise<null>}
+ * @throws {Error} if the snapshot cannot be written
+ */
+export async function saveSnapshot({ store, filename, downloadLink, metadata }) {
+  const line = JSON.stringify({
+    filename,
+    downloadLink,
+    savedAt: new Date().toISOString(),
+    metadata,
+  });
+  // Writes are queued, so that concurrent workers do not interleave their lines
+  const write = store.writeQueue.then(() => fs.appendFile(store.path, `${line}\n`));
+  store.writeQueue = write.catch(() => null);
+  await write;
+  logger.debug(`Snapshot of ${filename} saved to ${store.path}`);
+  return null;
+}
+
+/**
+ * Read the snapshots of a run.
+ * <br>If a file was saved more than once (e.g. in a resumed run), the first snapshot is kept, because it holds the
+ * metadata before the run. Incomplete lines (e.g. after a crash) are ignored.
+ * @async
+ * @function readSnapshots
+ * @memberof snapshots
+ * @param {string} indexFile - path of the index file of the data source
+ * @param {string} runId - id of the run
+ * @returns {Promise<Map>} snapshots (filename, downloadLink, savedAt, metadata) by filename
+ * @throws {Error} if no snapshots exist for the run
+ */
+export async function readSnapshots({ indexFile, runId }) {
+  const snapshotPath = path.join(path.dirname(indexFile), SNAPSHOT_DIRECTORY, `${runId}.jsonl`);
+  if (!(await fileExists(snapshotPath))) {
+    throw new Error(`No snapshots found for run '${runId}' (${snapshotPath})`);
+  }
+  const snapshots = new Map();
+  const lines = (await fs.readFile(snapshotPath, 'utf8')).split('\n').filter(Boolean);
+  for (const line of lines) {
+    try {
+      const snapshot = JSON.parse(line);
+      if (!snapshots.has(snapshot.filename)) snapshots.set(snapshot.filename, snapshot);
+    } catch {
+      logger.warn(`Ignoring incomplete snapshot line in ${snapshotPath}: ${line}`);
+    }
+  }
+  return snapshots;
+}
+
+/**
+ * List the runs with snapshots of a data source, the latest run first. Runs are ordered by their timestamp, ignoring
+ * the prefix of import runs (e.g. 'import_2024-...').
+ * @async
+ * @function listSnapshotRuns
+ * @memberof snapshots
+ * @param {string} indexFile - path of the index file of the data source
+ * @returns {Promise<Array<string>>} run ids
+ */
+export async function listSnapshotRuns({ indexFile }) {
+  const snapshotDirectory = path.join(path.dirname(indexFile), SNAPSHOT_DIRECTORY);
+  if (!(await fileExists(snapshotDirectory))) return [];
+  const files = await fs.readdir(snapshotDirectory);
+  return files
+    .filter((file) => file.endsWith('.jsonl'))
+    .map((file) => path.basename(file, '.jsonl'))
+    .sort((a, b) => b.replace(/^[a-z]+_/, '').localeCompare(a.replace(/^[a-z]+_/, '')));
+}
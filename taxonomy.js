@@ -0,0 +1,199 @@
+// Imports
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { getConfig } from './config.js';
+import { globToRegExp, isInFolder } from './helpers.js';
+import logger from './logger.js';
+
+/**
+ * Namespace for all elements related to the taxonomy values ('product', 'doctype', 'dokumentenherkunft') of files in
+ * Empolis
+ * @namespace taxonomy
+ */
+
+/**
+ * Separator of the levels of taxonomy paths in Empolis
+ * @type {string}
+ * @memberof taxonomy
+ * @private
+ */
+const TAXONOMY_SEPARATOR = '\u001F';
+
+/**
+ * Taxonomies read from the taxonomy files, by path of the file
+ * @type {Map<string, Object>}
+ * @memberof taxonomy
+ * @private
+ */
+const taxonomyCache = new Map();
+
+/**
+ * Convert a configured taxonomy node path to the Empolis format.
+ * <br>The levels of the path are separated by ' > ' in the configuration (e.g. 'Product_Motion >
+ * Product_Motion_Motion Controller'), and by '\u001F' in Empolis.
+ * @function toTaxonomyPath
+ * @memberof taxonomy
+ * @param {string} nodePath - node path with ' > ' or '\u001F' separated levels
+ * @returns {string} node path with '\u001F' separated levels
+ */
+export function toTaxonomyPath(nodePath) {
+  return String(nodePath)
+    .split(TAXONOMY_SEPARATOR)
+    .flatMap((level) => level.split('>'))
+    .map((level) => level.trim())
+    .filter(Boolean)
+    .join(TAXONOMY_SEPARATOR);
+}
+
+/**
+ * Read the taxonomy nodes from the local taxonomy file (TAXONOMY_FILE, relative to the configuration file).
+ * <br>The file lists the node paths of each taxonomy attribute (see schema_samples/taxonomy_sample.json). The parent
+ * nodes of a listed path do not need to be listed separately. The file is read once.
+ * @async
+ * @function loadTaxonomy
+ * @memberof taxonomy
+ * @returns {Promise<Object>} Set of the node paths by attribute
+ * @throws {Error} if TAXONOMY_FILE is not configured or cannot be read
+ */
+export async function loadTaxonomy() {
+  const config = getConfig();
+  if (!config.TAXONOMY_FILE) {
+    throw new Error('TAXONOMY_FILE must be configured to map files to taxonomy nodes');
+  }
+  const taxonomyFile = path.resolve(path.dirname(config.CONFIG_PATH ?? '.'), config.TAXONOMY_FILE);
+  if (taxonomyCache.has(taxonomyFile)) return taxonomyCache.get(taxonomyFile);
+
+  const content = JSON.parse(await fs.readFile(taxonomyFile, 'utf8'));
+  const taxonomy = {};
+  for (const [attribute, nodePaths] of Object.entries(content)) {
+    taxonomy[attribute] = new Set();
+    for (const nodePath of nodePaths) {
+      // Add the node and all of its parent nodes
+      const levels = toTaxonomyPath(nodePath).split(TAXONOMY_SEPARATOR);
+      for (let depth = 1; depth <= levels.length; depth++) {
+        taxonomy[attribute].add(levels.slice(0, depth).join(TAXONOMY_SEPARATOR));
+      }
+    }
+  }
+  logger.info(`Taxonomy read from ${taxonomyFile} (${Object.keys(taxonomy).join(', ')})`);
+  taxonomyCache.set(taxonomyFile, taxonomy);
+  return taxonomy;
+}
+
+/**
+ * Check that all taxonomy nodes mapped in the selected data source exist in the taxonomy.
+ * @async
+ * @function validateTaxonomyMappings
+ * @memberof taxonomy
+ * @returns {Promise<null>}
+ * @throws {Error} listing all mapped nodes that do not exist in the taxonomy
+ */
+export async function validateTaxonomyMappings() {
+  const mappings = getConfig().SOURCE_CONFIG?.TAXONOMY ?? [];
+  if (mappings.length === 0) return null;
+  const taxonomy = await loadTaxonomy();
+  const unknownNodes = mappings.flatMap((mapping) => findUnknownNodes({ mapping, taxonomy }));
+  if (unknownNodes.length > 0) {
+    throw new Error(`Unknown taxonomy nodes in TAXONOMY: ${[...new Set(unknownNodes)].join(', ')}`);
+  }
+  return null;
+}
+
+/**
+ * Check if a taxonomy mapping applies to a file.
+ * <br>A mapping matches if the breadcrumbs of the file start with the configured 'BREADCRUMB' crumbs, the file is
+ * located in the configured 'FOLDER' (relative to the data source directory) and the filename matches the configured
+ * 'PATTERN' (glob). Conditions that are not configured are ignored, a mapping without conditions applies to all files.
+ * @function mappingMatches
+ * @memberof taxonomy
+ * @param {Object} mapping - taxonomy mapping (see TAXONOMY in DATA_SOURCES in config.yaml)
+ * @param {string} filePath - path of the file relative to the data source directory
+ * @param {Array<string>} [breadcrumbs] - breadcrumbs of the file
+ * @returns {boolean} TRUE if the mapping applies to the file
+ */
+export function mappingMatches({ mapping, filePath, breadcrumbs = [] }) {
+  const normalizedPath = filePath.split(path.sep).join('/');
+  if (mapping.FOLDER && !isInFolder(normalizedPath, mapping.FOLDER)) return false;
+  if (mapping.PATTERN && !globToRegExp(mapping.PATTERN).test(path.posix.basename(normalizedPath))) {
+    return false;
+  }
+  if (mapping.BREADCRUMB) {
+    const prefix = [mapping.BREADCRUMB].flat();
+    if (prefix.length > breadcrumbs.length) return false;
+    const crumbsMatch = prefix.every(
+      (crumb, i) => String(crumb).trim().toLowerCase() === breadcrumbs[i].trim().toLowerCase()
+    );
+    if (!crumbsMatch) return false;
+  }
+  return true;
+}
+
+/**
+ * Compute the taxonomy metadata of a file in the selected data source.
+ * <br>The values of all matching mappings (see mappingMatches()) are added to the current values of the attributes,
+ * existing values are kept.
+ * @async
+ * @function getTaxonomyMetadata
+ * @memberof taxonomy
+ * @param {string} filePath - path of the file relative to the data source directory
+ * @param {Array<string>} [breadcrumbs] - breadcrumbs of the file
+ * @param {Object} fileMetadata - current metadata of the file
+ * @returns {Promise<Object>} taxonomy attributes with the merged node paths, empty object if no mapping matches
+ * @throws {Error} if a mapped node does not exist in the taxonomy
+ */
+export async function getTaxonomyMetadata({ filePath, breadcrumbs = [], fileMetadata }) {
+  const mappings = (getConfig().SOURCE_CONFIG?.TAXONOMY ?? []).filter((mapping) =>
+    mappingMatches({ mapping, filePath, breadcrumbs })
+  );
+  if (mappings.length === 0) return {};
+
+  const taxonomy = await loadTaxonomy();
+  const taxonomyMetadata = {};
+  for (const mapping of mappings) {
+    const unknownNodes = findUnknownNodes({ mapping, taxonomy });
+    if (unknownNodes.length > 0) {
+      throw new Error(`Unknown taxonomy nodes: ${unknownNodes.join(', ')}`);
+    }
+    for (const [attribute, nodePaths] of Object.entries(mapping.VALUES ?? {})) {
+      const currentValues = taxonomyMetadata[attribute] ?? [fileMetadata[attribute] ?? []].flat();
+      const newValues = [nodePaths].flat().map(toTaxonomyPath);
+      taxonomyMetadata[attribute] = [...new Set([...currentValues, ...newValues])];
+    }
+  }
+  logger.debug(`Taxonomy values of ${filePath}: ${JSON.stringify(taxonomyMetadata)}`);
+  return taxonomyMetadata;
+}
+
+/**
+ * Check if the current metadata of a file already contains the computed taxonomy values.
+ * @function taxonomyMatches
+ * @memberof taxonomy
+ * @param {Object} fileMetadata - current metadata of the file
+ * @param {Object} taxonomyMetadata - computed taxonomy metadata (see getTaxonomyMetadata())
+ * @returns {boolean} TRUE if the metadata does not need to be updated
+ */
+export function taxonomyMatches({ fileMetadata, taxonomyMetadata }) {
+  return Object.entries(taxonomyMetadata).every(([attribute, nodePaths]) => {
+    const currentValues = [fileMetadata[attribute] ?? []].flat();
+    return nodePaths.every((nodePath) => currentValues.includes(nodePath));
+  });
+}
+
+/**
+ * Find the node paths of a mapping that do not exist in the taxonomy
+ * @function findUnknownNodes
+ * @memberof taxonomy
+ * @private
+ * @param {Object} mapping - taxonomy mapping
+ * @param {Object} taxonomy - Set of the node paths by attribute (see loadTaxonomy())
+ * @returns {Array<string>} unknown nodes as 'attribute: Level 1 > Level 2'
+ */
+function findUnknownNodes({ mapping, taxonomy }) {
+  return Object.entries(mapping.VALUES ?? {}).flatMap(([attribute, nodePaths]) =>
+    [nodePaths]
+      .flat()
+      .map(toTaxonomyPath)
+      .filter((nodePath) => !taxonomy[attribute]?.has(nodePath))
+      .map((nodePath) => `${attribute}: ${nodePath.split(TAXONOMY_SEPARATOR).join(' > ')}`)
+  );
+}
@@ -0,0 +1,135 @@
+// Imports
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkApiStatus, getToken, invalidateToken } from '../empolis_admin.js';
+import { getFileMetadata } from '../empolis_ops.js';
+import {
+  configureTestEnvironment,
+  SAMPLE_DATA_SOURCE,
+  startMockEmpolisServer,
+} from './mock_empolis_server.js';
+
+const SAMPLE_DOWNLOAD_LINK = `${SAMPLE_DATA_SOURCE}/0001973746.html`;
+
+describe('getToken()', () => {
+  let server;
+
+  before(async () => {
+    server = await startMockEmpolisServer();
+  });
+  after(() => server.close());
+  beforeEach(() => {
+    configureTestEnvironment({ baseUrl: server.baseUrl });
+    invalidateToken();
+    server.requests.length = 0;
+  });
+
+  it('caches the access token', async () => {
+    const token = await getToken();
+    assert.equal(await getToken(), token);
+    await getFileMetadata({ path: SAMPLE_DOWNLOAD_LINK });
+    assert.equal(server.tokenRequests(), 1);
+  });
+
+  it('shares one token request between concurrent callers', async () => {
+    const tokens = await Promise.all([getToken(), getToken(), getToken()]);
+    assert.equal(new Set(tokens).size, 1);
+    assert.equal(server.tokenRequests(), 1);
+  });
+
+  it('refreshes an expired access token with the refresh token', async () => {
+    // Tokens expire 60 s before 'expires_in', so they are expired immediately
+    const shortLivedServer = await startMockEmpolisServer({ expiresIn: 60 });
+    try {
+      configureTestEnvironment({ baseUrl: shortLivedServer.baseUrl });
+      const firstToken = await getToken();
+      const refreshedToken = await getToken();
+      assert.notEqual(refreshedToken, firstToken);
+      assert.equal(shortLivedServer.tokenRequests('password'), 1);
+      assert.equal(shortLivedServer.tokenRequests('refresh_token'), 1);
+    } finally {
+      await shortLivedServer.close();
+    }
+  });
+
+  it('requests new tokens if the refresh fails', async () => {
+    const shortLivedServer = await startMockEmpolisServer({ expiresIn: 60 });
+    try {
+      configureTestEnvironment({
+        baseUrl: shortLivedServer.baseUrl,
+        overrides: { HTTP_RETRIES: 0 },
+      });
+      await getToken();
+      shortLivedServer.failNext({ path: '/oauth2/token', statusCode: 400 });
+      await getToken();
+      assert.equal(shortLivedServer.tokenRequests('password'), 2);
+      assert.equal(shortLivedServer.tokenRequests('refresh_token'), 1);
+    } finally {
+      await shortLivedServer.close();
+    }
+  });
+
+  it('requests a new token if the access token is rejected', async () => {
+    const token = await getToken();
+    server.revokeTokens();
+    const metadata = await getFileMetadata({ path: SAMPLE_DOWNLOAD_LINK });
+    assert.equal(metadata.DownloadLink, SAMPLE_DOWNLOAD_LINK);
+    assert.notEqual(await getToken(), token);
+    assert.equal(server.tokenRequests('password'), 2);
+  });
+
+  it('throws if the credentials are missing', async () => {
+    const { API_PASSWORD } = process.env;
+    delete process.env.API_PASSWORD;
+    try {
+      await assert.rejects(getToken(), /Missing required environment variables/);
+      assert.equal(server.tokenRequests(), 0);
+    } finally {
+      process.env.API_PASSWORD = API_PASSWORD;
+    }
+  });
+
+  it('throws an EmpolisApiError if the credentials are rejected', async () => {
+    process.env.API_PASSWORD = 'wrong-password';
+    await assert.rejects(getToken(), { name: 'EmpolisApiError', statusCode: 400 });
+    // The token cache is cleared, the next call requests a new token
+    configureTestEnvironment({ baseUrl: server.baseUrl });
+    assert.ok(await getToken());
+  });
+});
+
+describe('checkApiStatus()', () => {
+  let server;
+
+  before(async () => {
+    server = await startMockEmpolisServer();
+  });
+  after(() => server.close());
+  beforeEach(() => {
+    configureTestEnvironment({ baseUrl: server.baseUrl });
+    invalidateToken();
+    for (const service of ['ingest', 'ias', 'store']) server.setOperational(service, true);
+  });
+
+  it('resolves if all services are operational', async () => {
+    await checkApiStatus();
+    const alivePaths = server.requests
+      .map((request) => request.path)
+      .filter((p) => p.endsWith('/alive'));
+    assert.deepEqual(alivePaths.sort(), [
+      '/api/ias/v1/alive',
+      '/api/ingest/v1/alive',
+      '/api/store/v1/alive',
+    ]);
+  });
+
+  it('throws if a service is not operational', async () => {
+    server.setOperational('ias', false);
+    await assert.rejects(checkApiStatus(), /Empolis IAS Service Down/);
+  });
+
+  it('throws if a service cannot be reached after the retries', async () => {
+    server.failNext({ path: '/api/store/v1/alive', statusCode: 503, times: 2 });
+    await assert.rejects(checkApiStatus(), { name: 'EmpolisApiError', statusCode: 503 });
+  });
+});
@@ -0,0 +1,291 @@
+// Imports
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { invalidateToken } from '../empolis_admin.js';
+import { editFileMetadata, getFileMetadata, processFile } from '../empolis_ops.js';
+import { prepareLocalization } from '../localization.js';
+import { openSnapshotStore } from '../snapshots.js';
+import {
+  configureTestEnvironment,
+  SAMPLE_DATA_SOURCE,
+  SAMPLES_DIRECTORY,
+  startMockEmpolisServer,
+} from './mock_empolis_server.js';
+
+const DOWNLOAD_LINK = `${SAMPLE_DATA_SOURCE}/0001973746.html`;
+
+/**
+ * Index entry of the first STORE sample file, matching its current metadata
+ * @returns {Object} index entry
+ */
+function sampleDataObject() {
+  return {
+    filename: '0001973746.html',
+    title: 'WCOL8: Write Comm. Logic Register 8',
+    breadcrumbs: [
+      'Function Block',
+      'Communications',
+      'Communication Logic Writes',
+      'WCOL8: Write Comm. Logic Register 8',
+    ],
+  };
+}
+
+describe('processFile()', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startMockEmpolisServer();
+    configureTestEnvironment({ baseUrl: server.baseUrl });
+    invalidateToken();
+  });
+  afterEach(() => server.close());
+
+  const ingestRequests = () =>
+    server.requests.filter((request) => request.path.startsWith('/api/ingest/v1/metadata'));
+
+  it('skips a file that already has the correct metadata', async () => {
+    const report = [];
+    assert.equal(await processFile({ dataObject: sampleDataObject(), report }), 'skipped');
+    assert.equal(report[0].status, 'unchanged');
+    assert.equal(ingestRequests().length, 0);
+  });
+
+  it('updates the title and keywords of a file', async () => {
+    const dataObject = {
+      ...sampleDataObject(),
+      title: 'WCOL8: Write Communication Logic Register 8',
+      breadcrumbs: ['Function Block', 'Communications'],
+    };
+    assert.equal(await processFile({ dataObject }), 'updated');
+    assert.equal(ingestRequests().length, 1);
+    const metadata = server.files.get(DOWNLOAD_LINK);
+    assert.equal(metadata.Title, 'WCOL8: Write Communication Logic Register 8');
+    assert.equal(metadata.Keywords_txt, 'Function Block; Communications');
+    // All other attributes are posted unchanged
+    assert.equal(metadata.Category.de, 'DriveWorks EZ Hilfedatei');
+    // The update is skipped in the next run
+    assert.equal(await processFile({ dataObject }), 'skipped');
+  });
+
+  it('keeps the keywords added in Empolis with the merge policy', async () => {
+    configureTestEnvironment({ baseUrl: server.baseUrl, overrides: { KEYWORD_POLICY: 'merge' } });
+    const current = server.files.get(DOWNLOAD_LINK);
+    server.files.set(DOWNLOAD_LINK, {
+      ...current,
+      Keywords_txt: `${current.Keywords_txt} Register; function block`,
+    });
+    const dataObject = { ...sampleDataObject(), breadcrumbs: ['Function Block', 'Logic'] };
+    assert.equal(await processFile({ dataObject }), 'updated');
+    assert.equal(
+      server.files.get(DOWNLOAD_LINK).Keywords_txt,
+      'Function Block; Logic; Communications; Communication Logic Writes;' +
+        ' WCOL8: Write Comm. Logic Register 8; Register'
+    );
+  });
+
+  it('adds the visibility tags of the access level', async () => {
+    configureTestEnvironment({
+      baseUrl: server.baseUrl,
+      overrides: {
+        ACCESS_LEVELS: { internal: { VISIBILITY_LEVEL: 20, SKILLLEVEL: ['Internal'] } },
+        SOURCE_CONFIG: { NAME: 'DWEZ', VISIBILITY: { ACCESS_LEVEL: 'internal' } },
+      },
+    });
+    assert.equal(await processFile({ dataObject: sampleDataObject() }), 'updated');
+    const metadata = server.files.get(DOWNLOAD_LINK);
+    assert.equal(metadata.ese_VisibilityLevel, 20);
+    assert.deepEqual(metadata.skilllevel, ['Internal']);
+  });
+
+  it('only reports the changes in a dry run', async () => {
+    configureTestEnvironment({ baseUrl: server.baseUrl, overrides: { DRY_RUN: true } });
+    const report = [];
+    const dataObject = { ...sampleDataObject(), title: 'New Title' };
+    assert.equal(await processFile({ dataObject, report }), 'proposed');
+    assert.equal(ingestRequests().length, 0);
+    assert.deepEqual(report[0].changes[0], {
+      attribute: 'Title',
+      current: 'WCOL8: Write Comm. Logic Register 8',
+      proposed: 'New Title',
+    });
+    // The keywords are written with the normalized separators
+    assert.equal(report[0].changes[1].proposed, sampleDataObject().breadcrumbs.join('; '));
+  });
+
+  it('blocks files without title', async () => {
+    const report = [];
+    const dataObject = { ...sampleDataObject(), title: 'Untitled' };
+    assert.equal(await processFile({ dataObject, report }), 'blocked');
+    assert.equal(report[0].status, 'blocked');
+    assert.equal(server.requests.length, 0);
+  });
+
+  it('does not update a file that is not found in Empolis', async () => {
+    const report = [];
+    const dataObject = { ...sampleDataObject(), filename: 'missing.html' };
+    assert.equal(await processFile({ dataObject, report }), 'ambiguous');
+    assert.equal(report[0].status, 'ambiguous');
+    assert.equal(ingestRequests().length, 0);
+  });
+
+  it('fails for metadata that does not match the index schema', async () => {
+    server.files.set(DOWNLOAD_LINK, { ...server.files.get(DOWNLOAD_LINK), FileSize: 'large' });
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'snapshots-test-'));
+    try {
+      const snapshots = await openSnapshotStore({
+        indexFile: path.join(directory, 'index.json'),
+        runId: 'test',
+      });
+      const report = [];
+      const dataObject = { ...sampleDataObject(), title: 'New Title' };
+      assert.equal(await processFile({ dataObject, report, snapshots }), 'failed');
+      assert.match(report[0].message, /'FileSize' must be an integer/);
+      assert.equal(ingestRequests().length, 0);
+      // No snapshot is saved for metadata that is not posted
+      await assert.rejects(fs.access(snapshots.path));
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('fails for metadata that does not match the index schema in a dry run', async () => {
+    configureTestEnvironment({ baseUrl: server.baseUrl, overrides: { DRY_RUN: true } });
+    server.files.set(DOWNLOAD_LINK, { ...server.files.get(DOWNLOAD_LINK), FileSize: 'large' });
+    const report = [];
+    const dataObject = { ...sampleDataObject(), title: 'New Title' };
+    assert.equal(await processFile({ dataObject, report }), 'failed');
+    assert.equal(report[0].status, 'failed');
+  });
+
+  it('throws if the update is rejected after the retries', async () => {
+    server.failNext({ path: '/api/ingest/v1/metadata', statusCode: 500, times: 2 });
+    const dataObject = { ...sampleDataObject(), title: 'New Title' };
+    await assert.rejects(processFile({ dataObject }), {
+      name: 'EmpolisApiError',
+      statusCode: 500,
+    });
+    assert.equal(ingestRequests().length, 2);
+    assert.equal(server.files.get(DOWNLOAD_LINK).Title, 'WCOL8: Write Comm. Logic Register 8');
+  });
+
+  it('retries a failed update', async () => {
+    server.failNext({ path: '/api/ingest/v1/metadata', statusCode: 503 });
+    const dataObject = { ...sampleDataObject(), title: 'New Title' };
+    assert.equal(await processFile({ dataObject }), 'updated');
+    assert.equal(server.files.get(DOWNLOAD_LINK).Title, 'New Title');
+  });
+});
+
+describe('processFile() with LOCALIZATION', () => {
+  let server;
+  let directory;
+
+  beforeEach(async () => {
+    server = await startMockEmpolisServer();
+    // The index schema sample has no localized Title and Keywords_txt
+    const indexDefinition = JSON.parse(
+      await fs.readFile(path.join(SAMPLES_DIRECTORY, 'project1_p_index.json'), 'utf8')
+    );
+    for (const attribute of ['Title', 'Keywords_txt']) {
+      indexDefinition.schema.attributes[attribute].hasLocalizedValues = true;
+    }
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'localization-test-'));
+    const schemaFile = path.join(directory, 'project1_p_index.json');
+    await fs.writeFile(schemaFile, JSON.stringify(indexDefinition));
+    configureTestEnvironment({
+      baseUrl: server.baseUrl,
+      overrides: {
+        SCHEMA_FILE: schemaFile,
+        SOURCE_CONFIG: { NAME: 'DWEZ', LOCALIZATION: { DE_DIR: directory } },
+      },
+    });
+    invalidateToken();
+  });
+  afterEach(async () => {
+    await server.close();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('stops if the index schema has no localized title and keywords', async () => {
+    configureTestEnvironment({
+      baseUrl: server.baseUrl,
+      overrides: { SOURCE_CONFIG: { NAME: 'DWEZ', LOCALIZATION: { DE_DIR: directory } } },
+    });
+    await assert.rejects(prepareLocalization(), /not defined for Title, Keywords_txt/);
+  });
+
+  it('writes and compares localized titles and keywords', async () => {
+    const localization = await prepareLocalization();
+    assert.deepEqual([...localization.attributes], ['Title', 'Keywords_txt']);
+    const dataObject = {
+      ...sampleDataObject(),
+      breadcrumbs: ['Function Block', 'Communications'],
+      de: {
+        title: 'WCOL8: Kommunikationslogik-Register 8 schreiben',
+        breadcrumbs: ['Funktionsbaustein', 'Kommunikation'],
+      },
+    };
+    assert.equal(await processFile({ dataObject, localization }), 'updated');
+    const metadata = server.files.get(DOWNLOAD_LINK);
+    assert.deepEqual(metadata.Title, {
+      value: 'WCOL8: Write Comm. Logic Register 8',
+      en: 'WCOL8: Write Comm. Logic Register 8',
+      de: 'WCOL8: Kommunikationslogik-Register 8 schreiben',
+    });
+    assert.deepEqual(metadata.Keywords_txt, {
+      value: 'Function Block; Communications',
+      en: 'Function Block; Communications',
+      de: 'Funktionsbaustein; Kommunikation',
+    });
+    // The localized values match in the next run
+    assert.equal(await processFile({ dataObject, localization }), 'skipped');
+    // A changed German title is updated
+    const changed = { ...dataObject, de: { ...dataObject.de, title: 'WCOL8: Register 8' } };
+    assert.equal(await processFile({ dataObject: changed, localization }), 'updated');
+    assert.equal(server.files.get(DOWNLOAD_LINK).Title.de, 'WCOL8: Register 8');
+  });
+});
+
+describe('getFileMetadata() and editFileMetadata()', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startMockEmpolisServer();
+    configureTestEnvironment({ baseUrl: server.baseUrl });
+    invalidateToken();
+  });
+  afterEach(() => server.close());
+
+  it('throws an EmpolisApiError for an unknown file', async () => {
+    await assert.rejects(getFileMetadata({ path: `${SAMPLE_DATA_SOURCE}/missing.html` }), {
+      name: 'EmpolisApiError',
+      statusCode: 404,
+    });
+  });
+
+  it('requires the FilePath of the file', async () => {
+    await assert.rejects(editFileMetadata({ newMetadata: { Title: 'New Title' } }), /FilePath/);
+  });
+
+  it('rejects metadata that does not match the index schema', async () => {
+    const metadata = await getFileMetadata({ path: DOWNLOAD_LINK });
+    await assert.rejects(editFileMetadata({ newMetadata: { ...metadata, Title: ['New Title'] } }), {
+      name: 'MetadataValidationError',
+    });
+  });
+
+  it('throws an EmpolisNetworkError if Empolis cannot be reached', async () => {
+    await server.close();
+    configureTestEnvironment({
+      baseUrl: server.baseUrl,
+      overrides: { HTTP_RETRIES: 0 },
+    });
+    await assert.rejects(getFileMetadata({ path: DOWNLOAD_LINK }), { name: 'EmpolisNetworkError' });
+    // Closed again by afterEach()
+    server = await startMockEmpolisServer();
+  });
+});
@@ -0,0 +1,136 @@
+// Imports
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { invalidateToken } from '../empolis_admin.js';
+import {
+  buildDownloadLink,
+  fileSearch,
+  lookupFile,
+  searchDataSourceRecords,
+} from '../empolis_search.js';
+import {
+  configureTestEnvironment,
+  SAMPLE_DATA_SOURCE,
+  startMockEmpolisServer,
+} from './mock_empolis_server.js';
+
+describe('fileSearch()', () => {
+  let server;
+
+  before(async () => {
+    server = await startMockEmpolisServer();
+  });
+  after(() => server.close());
+  beforeEach(() => {
+    configureTestEnvironment({ baseUrl: server.baseUrl });
+    invalidateToken();
+  });
+
+  it('returns the metadata of a file found in the data source', async () => {
+    const metadata = await fileSearch({ searchTerm: '0001973746.html' });
+    assert.equal(metadata.FileName, '0001973746.html');
+    assert.equal(metadata.Title, 'WCOL8: Write Comm. Logic Register 8');
+    assert.equal(metadata.DownloadLink, `${SAMPLE_DATA_SOURCE}/0001973746.html`);
+  });
+
+  it('returns null if the file is not in the data source', async () => {
+    assert.equal(await fileSearch({ searchTerm: 'missing.html' }), null);
+  });
+
+  it('returns null if the file is only found in another data source', async () => {
+    // The index record sample belongs to the iCube Engineer data source
+    assert.equal(await fileSearch({ searchTerm: 'sfresetV20.htm' }), null);
+  });
+
+  it('does not throw if the search fails', async () => {
+    server.failNext({ path: '/search', statusCode: 500, times: 2 });
+    assert.equal(await fileSearch({ searchTerm: '0001973746.html' }), undefined);
+  });
+});
+
+describe('lookupFile()', () => {
+  let server;
+
+  before(async () => {
+    server = await startMockEmpolisServer();
+  });
+  after(() => server.close());
+  beforeEach(() => {
+    configureTestEnvironment({ baseUrl: server.baseUrl });
+    invalidateToken();
+  });
+
+  it('finds a file by its DownloadLink', async () => {
+    const lookup = await lookupFile({ filename: '0001973897.html' });
+    assert.equal(lookup.status, 'found');
+    assert.equal(lookup.downloadLink, `${SAMPLE_DATA_SOURCE}/0001973897.html`);
+    assert.equal(lookup.records.length, 1);
+  });
+
+  it('counts the split pages of a document as one match', async () => {
+    const metadata = server.files.get(`${SAMPLE_DATA_SOURCE}/0001973897.html`);
+    server.indexRecords.push({ ...metadata, _recordid: 'page-2' });
+    try {
+      const lookup = await lookupFile({ filename: '0001973897.html' });
+      assert.equal(lookup.status, 'found');
+      assert.equal(lookup.records.length, 1);
+    } finally {
+      server.indexRecords.pop();
+    }
+  });
+
+  it('reports a record with another FileName as ambiguous', async () => {
+    const downloadLink = `${SAMPLE_DATA_SOURCE}/renamed.html`;
+    server.files.set(downloadLink, { DownloadLink: downloadLink, FileName: 'original.html' });
+    const lookup = await lookupFile({ filename: 'renamed.html' });
+    assert.equal(lookup.status, 'ambiguous');
+    assert.match(lookup.message, /FileName 'original.html'/);
+  });
+
+  it('reports a missing file as not found', async () => {
+    const lookup = await lookupFile({ filename: 'missing.html' });
+    assert.equal(lookup.status, 'not_found');
+    assert.deepEqual(lookup.records, []);
+  });
+});
+
+describe('buildDownloadLink()', () => {
+  it('encodes each folder and the filename', () => {
+    assert.equal(
+      buildDownloadLink({ dataSource: `${SAMPLE_DATA_SOURCE}/`, filename: 'Sub Folder\\a&b.htm' }),
+      `${SAMPLE_DATA_SOURCE}/Sub%20Folder/a%26b.htm`
+    );
+  });
+});
+
+describe('searchDataSourceRecords()', () => {
+  let server;
+
+  before(async () => {
+    server = await startMockEmpolisServer();
+  });
+  after(() => server.close());
+
+  it('returns the records of the data source page by page', async () => {
+    configureTestEnvironment({ baseUrl: server.baseUrl, overrides: { SEARCH_PAGE_SIZE: 1 } });
+    invalidateToken();
+    const records = await searchDataSourceRecords({ resultAttributes: ['Title'] });
+    assert.deepEqual(records.map((record) => record.DownloadLink).sort(), [
+      `${SAMPLE_DATA_SOURCE}/0001973746.html`,
+      `${SAMPLE_DATA_SOURCE}/0001973897.html`,
+    ]);
+    assert.equal(server.requests.filter((request) => request.path.endsWith('/search')).length, 2);
+  });
+
+  it('reads all records if the service returns fewer records per page than requested', async () => {
+    const limitedServer = await startMockEmpolisServer({ maxCountLimit: 1 });
+    try {
+      configureTestEnvironment({ baseUrl: limitedServer.baseUrl });
+      invalidateToken();
+      const records = await searchDataSourceRecords({ resultAttributes: ['Title'] });
+      assert.equal(records.length, 2);
+    } finally {
+      await limitedServer.close();
+    }
+  });
+});
@@ -0,0 +1,116 @@
+// Imports
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { getExtractor } from '../extractors.js';
+
+const FIXTURES_DIRECTORY = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+/**
+ * Extract the fields of a fixture file with the extractor selected for it
+ * @param {string} filename - name of the file in the fixtures directory
+ * @param {Object} [settings] - extractor settings of the data source
+ * @returns {Promise<Object>} extracted fields
+ */
+async function extractFixture(filename, settings = {}) {
+  const filePath = path.join(FIXTURES_DIRECTORY, filename);
+  const extractor = await getExtractor({ settings, filePath });
+  return extractor.extract({ filePath, content: await fs.readFile(filePath), settings });
+}
+
+describe('getExtractor()', () => {
+  it('selects the WebWorks extractor by default', async () => {
+    assert.equal((await getExtractor()).description, 'WebWorks ePublisher help files');
+    assert.equal(
+      (await getExtractor({ settings: { TYPE: 'HTML' } })).description,
+      'HTML files with configurable CSS selectors'
+    );
+  });
+
+  it('rejects an unknown extractor type', async () => {
+    await assert.rejects(
+      getExtractor({ settings: { TYPE: 'markdown' } }),
+      /Unknown extractor type 'markdown'. Available types: webworks, html/
+    );
+  });
+});
+
+describe('webworks extractor', () => {
+  it('extracts the title, breadcrumbs, description and headings', async () => {
+    assert.deepEqual(await extractFixture('webworks.html'), {
+      title: 'WCOL8: Write Comm. Logic Register 8',
+      breadcrumbs: ['Function Block', 'Communications', 'Communication Logic Writes'],
+      description: 'Writes a value to communication logic register 8.',
+      headings: ['WCOL8: Write Comm. Logic Register 8', 'Inputs', 'Outputs'],
+    });
+  });
+
+  it('uses the configured selectors instead of the defaults', async () => {
+    const fields = await extractFixture('webworks.html', {
+      TITLE_SELECTORS: ['.Heading_3'],
+      BREADCRUMBS_SELECTOR: null,
+    });
+    assert.equal(fields.title, 'Inputs');
+    assert.equal(fields.breadcrumbs, undefined);
+  });
+});
+
+describe('html extractor', () => {
+  const settings = {
+    TYPE: 'html',
+    BREADCRUMBS_SELECTOR: '.path',
+    BREADCRUMBS_SEPARATOR: '/',
+    VERSION_SELECTOR: '.release',
+    VERSION_PATTERN: '(\\d+\\.\\d+\\.\\d+)',
+  };
+
+  it('extracts the fields with the configured selectors', async () => {
+    assert.deepEqual(await extractFixture('selectors.html', settings), {
+      title: 'Parameter Reset',
+      breadcrumbs: ['Motion', 'Drives', 'GA700'],
+      headings: ['Parameter Reset', 'Initialization', 'Saving the parameters'],
+      version: '2.4.1',
+    });
+  });
+
+  it('returns Untitled if no title selector matches', async () => {
+    const fields = await extractFixture('selectors.html', {
+      ...settings,
+      TITLE_SELECTORS: ['title', '.missing'],
+    });
+    assert.equal(fields.title, 'Untitled');
+  });
+});
+
+describe('pdf extractor', () => {
+  it('extracts the document properties and the first page, regardless of the TYPE', async () => {
+    assert.deepEqual(await extractFixture('manual.pdf', { TYPE: 'html' }), {
+      title: 'Sigma-7 Series Safety Precautions',
+      subject: 'Safety precautions for servo drives',
+      keywords: ['Servo', 'Safety', 'Sigma-7'],
+      author: 'Yaskawa Europe',
+      headings: ['Sigma-7 Series', 'Safety Precautions', 'SIEP S800001 72C'],
+      documentNumbers: ['SIEP S800001 72C'],
+    });
+  });
+});
+
+describe('docx extractor', () => {
+  it('takes the title from the first heading without title property', async () => {
+    assert.deepEqual(await extractFixture('guide.docx'), {
+      title: 'GA700 Drive',
+      subject: 'Drives',
+      keywords: ['GA700', 'Setup'],
+      author: 'Yaskawa Europe',
+      headings: ['GA700 Drive', 'Quick Start Guide'],
+      documentNumbers: ['TOEP C710617 13B'],
+    });
+  });
+
+  it('matches the document numbers with DOCUMENT_NUMBER_PATTERN', async () => {
+    const fields = await extractFixture('guide.docx', { DOCUMENT_NUMBER_PATTERN: 'C\\d{6}' });
+    assert.deepEqual(fields.documentNumbers, ['C710617']);
+  });
+});
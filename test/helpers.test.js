@@ -0,0 +1,40 @@
+// Imports
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsv } from '../helpers.js';
+
+describe('parseCsv()', () => {
+  it('parses quoted values with delimiters, quotes and line breaks', () => {
+    const rows = parseCsv('\uFEFFFileName;Title\r\na.html;"Reset; ""Stop""\r\nMode"\r\n');
+    assert.deepEqual(
+      rows.map((row) => row.values),
+      [
+        ['FileName', 'Title'],
+        ['a.html', 'Reset; "Stop"\r\nMode'],
+      ]
+    );
+  });
+
+  it('returns the line number where each row starts', () => {
+    const content = 'FileName,Title\n\na.html,"Multi\nline"\nb.html,Single\n\n\nc.html,Last';
+    assert.deepEqual(
+      parseCsv(content).map((row) => [row.line, row.values[0]]),
+      [
+        [1, 'FileName'],
+        [3, 'a.html'],
+        [5, 'b.html'],
+        [8, 'c.html'],
+      ]
+    );
+  });
+
+  it('reads the output of toCsv()', () => {
+    const rows = [{ FileName: 'a.html', Keywords: ['Reset', 'Stop'], Title: 'Line 1\nLine 2' }];
+    const columns = ['FileName', 'Keywords', 'Title'];
+    assert.deepEqual(parseCsv(toCsv(rows, columns))[1].values, [
+      'a.html',
+      'Reset; Stop',
+      'Line 1\nLine 2',
+    ]);
+  });
+});
@@ -0,0 +1,184 @@
+// Imports
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import logger from '../logger.js';
+import { invalidateToken } from '../empolis_admin.js';
+import { startHttpServer } from '../http_server.js';
+import {
+  configureTestEnvironment,
+  SAMPLE_DATA_SOURCE,
+  startMockEmpolisServer,
+} from './mock_empolis_server.js';
+
+const API_KEY = 'test-api-key';
+const FILENAME = '0001973746.html';
+
+describe('startHttpServer()', { timeout: 30000 }, () => {
+  let empolis;
+  let directory;
+  let service;
+
+  /**
+   * Send a request to the HTTP service
+   * @param {string} endpoint - path of the endpoint
+   * @param {Object} [options] - fetch options
+   * @param {string} [apiKey] - API key of the request
+   * @returns {Promise<Object>} status code and parsed body
+   */
+  const request = async (endpoint, { apiKey = API_KEY, ...options } = {}) => {
+    const response = await fetch(`${service.url}${endpoint}`, {
+      ...options,
+      headers: { ...(apiKey && { 'x-api-key': apiKey }), 'content-type': 'application/json' },
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  // Poll a job until it is finished
+  const waitForJob = async (jobId) => {
+    for (;;) {
+      const { body } = await request(`/api/jobs/${jobId}`);
+      if (body.status !== 'running') return body;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+  };
+
+  before(async () => {
+    // The log entries of the jobs are collected, but not written to the console
+    for (const transport of logger.transports) transport.silent = true;
+    empolis = await startMockEmpolisServer();
+  });
+  after(() => empolis.close());
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'http-server-test-'));
+    await fs.writeFile(
+      path.join(directory, FILENAME),
+      '<html><head><title>WCOL8: Write Communication Logic Register 8</title></head><body>' +
+        '<div class="WebWorks_Breadcrumbs">Function Block &gt; Communications</div></body></html>'
+    );
+    configureTestEnvironment({
+      baseUrl: empolis.baseUrl,
+      overrides: {
+        DATA_SOURCES: [
+          { NAME: 'DWEZ', DATA_SOURCE: SAMPLE_DATA_SOURCE, FILE_DIR: directory },
+          { NAME: 'Missing', DATA_SOURCE: SAMPLE_DATA_SOURCE, FILE_DIR: path.join(directory, 'x') },
+        ],
+      },
+    });
+    logger.silent = false;
+    invalidateToken();
+    service = await startHttpServer({ port: 0, host: '127.0.0.1', apiKey: API_KEY });
+  });
+  afterEach(async () => {
+    await service.close();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('rejects requests without valid API key', async () => {
+    assert.equal((await request('/api/health', { apiKey: null })).status, 401);
+    assert.equal((await request('/api/health', { apiKey: 'wrong-key' })).status, 401);
+    const response = await fetch(`${service.url}/api/sources`, {
+      headers: { authorization: `Bearer ${API_KEY}` },
+    });
+    assert.equal(response.status, 200);
+  });
+
+  it('does not start without API key', async () => {
+    const { SERVICE_API_KEY } = process.env;
+    delete process.env.SERVICE_API_KEY;
+    try {
+      await assert.rejects(startHttpServer({ port: 0 }), /No API key configured/);
+    } finally {
+      if (SERVICE_API_KEY !== undefined) process.env.SERVICE_API_KEY = SERVICE_API_KEY;
+    }
+  });
+
+  it('reports the status of the Empolis API services', async () => {
+    assert.deepEqual(await request('/api/health'), { status: 200, body: { operational: true } });
+    empolis.setOperational('store', false);
+    try {
+      const { status, body } = await request('/api/health');
+      assert.equal(status, 503);
+      assert.match(body.error, /STORE Service Down/);
+    } finally {
+      empolis.setOperational('store', true);
+    }
+  });
+
+  it('looks up the metadata of a file', async () => {
+    const found = await request(`/api/sources/dwez/files?filename=${FILENAME}`);
+    assert.equal(found.status, 200);
+    assert.equal(found.body.Title, 'WCOL8: Write Comm. Logic Register 8');
+    assert.equal((await request('/api/sources/DWEZ/files?filename=missing.html')).status, 404);
+    assert.equal((await request('/api/sources/DWEZ/files')).status, 400);
+    assert.equal((await request(`/api/sources/iCube/files?filename=${FILENAME}`)).status, 404);
+  });
+
+  it('runs an update job in the background', async () => {
+    const started = await request('/api/sources/DWEZ/jobs', {
+      method: 'POST',
+      body: JSON.stringify({ operation: 'update' }),
+    });
+    assert.equal(started.status, 202);
+    assert.equal(started.body.status, 'running');
+    // One job per data source at a time
+    const conflict = await request('/api/sources/DWEZ/jobs', { method: 'POST' });
+    assert.equal(conflict.status, 409);
+    assert.equal(conflict.body.job.id, started.body.id);
+
+    const job = await waitForJob(started.body.id);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.result.files, 1);
+    assert.equal(job.result.summary.updated, 1);
+    assert.equal(
+      empolis.files.get(`${SAMPLE_DATA_SOURCE}/${FILENAME}`).Title,
+      'WCOL8: Write Communication Logic Register 8'
+    );
+
+    const log = await request(`/api/jobs/${job.id}/log`);
+    assert.equal(log.body.status, 'completed');
+    assert.ok(log.body.entries.some((entry) => /Completed metadata update/.test(entry.message)));
+    // Entries of other requests are not part of the job log
+    assert.ok(!log.body.entries.some((entry) => entry.message.startsWith('HTTP ')));
+    const nextPoll = await request(`/api/jobs/${job.id}/log?offset=${log.body.next}`);
+    assert.deepEqual(nextPoll.body.entries, []);
+    assert.deepEqual(
+      (await request('/api/jobs')).body.map((listedJob) => listedJob.id),
+      [job.id]
+    );
+  });
+
+  it('reports a failed job', async () => {
+    const started = await request('/api/sources/Missing/jobs', {
+      method: 'POST',
+      body: JSON.stringify({ operation: 'index' }),
+    });
+    const job = await waitForJob(started.body.id);
+    assert.equal(job.status, 'failed');
+    assert.match(job.error, /Failed to create index file/);
+  });
+
+  it('rejects invalid jobs', async () => {
+    const invalidOperation = await request('/api/sources/DWEZ/jobs', {
+      method: 'POST',
+      body: JSON.stringify({ operation: 'rollback' }),
+    });
+    assert.equal(invalidOperation.status, 400);
+    const invalidBody = await request('/api/sources/DWEZ/jobs', { method: 'POST', body: '{' });
+    assert.equal(invalidBody.status, 400);
+    assert.equal((await request('/api/sources/iCube/jobs', { method: 'POST' })).status, 404);
+    assert.equal((await request('/api/jobs/unknown')).status, 404);
+    const nullBody = await request('/api/sources/DWEZ/jobs', { method: 'POST', body: 'null' });
+    assert.equal(nullBody.status, 400);
+    assert.equal((await request('/api/sources/%E0%A4%A/jobs', { method: 'POST' })).status, 400);
+    const largeBody = await request('/api/sources/DWEZ/jobs', {
+      method: 'POST',
+      body: JSON.stringify({ operation: 'update', padding: 'x'.repeat(20000) }),
+    });
+    assert.equal(largeBody.status, 413);
+    assert.equal(service.jobs.size, 0);
+  });
+});
@@ -0,0 +1,112 @@
+// Imports
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyKeywordPolicy,
+  getKeywordPolicy,
+  joinKeywords,
+  keywordsMatch,
+  normalizeKeywords,
+  splitKeywords,
+} from '../keywords.js';
+import { configureTestEnvironment } from './mock_empolis_server.js';
+
+describe('normalizeKeywords()', () => {
+  it('trims the keywords and removes empty keywords and duplicates', () => {
+    assert.deepEqual(normalizeKeywords([' Drives ', '', 'drives', 'Inverter', '  ']), [
+      'Drives',
+      'Inverter',
+    ]);
+  });
+});
+
+describe('splitKeywords() and joinKeywords()', () => {
+  it('splits plain and localized values', () => {
+    assert.deepEqual(splitKeywords('Function Block; Communications;'), {
+      value: ['Function Block', 'Communications'],
+    });
+    assert.deepEqual(splitKeywords({ value: 'A; B', en: 'A; B', de: ' ' }), {
+      value: ['A', 'B'],
+      en: ['A', 'B'],
+    });
+    assert.deepEqual(splitKeywords(null), {});
+  });
+
+  it('joins the keywords with a consistent separator', () => {
+    assert.equal(
+      joinKeywords(['Function Block ', 'Communications', 'function block']),
+      'Function Block; Communications'
+    );
+    assert.equal(joinKeywords([]), '');
+  });
+});
+
+describe('applyKeywordPolicy()', () => {
+  const current = ['Editor Keyword', 'Communications'];
+  const extracted = ['Function Block', 'communications'];
+
+  it('replaces the current keywords', () => {
+    assert.deepEqual(applyKeywordPolicy({ policy: 'replace', current, extracted }), [
+      'Function Block',
+      'communications',
+    ]);
+  });
+
+  it('merges the extracted and the current keywords', () => {
+    assert.deepEqual(applyKeywordPolicy({ policy: 'merge', current, extracted }), [
+      'Function Block',
+      'communications',
+      'Editor Keyword',
+    ]);
+  });
+
+  it('appends the missing extracted keywords', () => {
+    assert.deepEqual(applyKeywordPolicy({ policy: 'append', current, extracted }), [
+      'Editor Keyword',
+      'Communications',
+      'Function Block',
+    ]);
+  });
+});
+
+describe('keywordsMatch()', () => {
+  it('compares the normalized keywords as sets', () => {
+    assert.ok(keywordsMatch('B; a; A;', 'a; b'));
+    assert.ok(!keywordsMatch('a; b; c', 'a; b'));
+    assert.ok(!keywordsMatch(null, 'a'));
+    assert.ok(keywordsMatch(null, ''));
+  });
+
+  it('compares localized values per language', () => {
+    const expected = { value: 'a; b', en: 'a; b', de: 'x; y' };
+    assert.ok(keywordsMatch({ value: 'b; a;', en: 'a; b', de: 'Y; X' }, expected));
+    assert.ok(!keywordsMatch({ value: 'a; b', en: 'a; b', de: 'x' }, expected));
+    assert.ok(!keywordsMatch('a; b', expected));
+  });
+});
+
+describe('getKeywordPolicy()', () => {
+  beforeEach(() => {
+    configureTestEnvironment({
+      baseUrl: 'http://127.0.0.1',
+      overrides: { KEYWORD_POLICY: 'append' },
+    });
+  });
+
+  it('prefers the policy of the data source', () => {
+    assert.equal(getKeywordPolicy(), 'append');
+    configureTestEnvironment({
+      baseUrl: 'http://127.0.0.1',
+      overrides: { KEYWORD_POLICY: 'append', SOURCE_CONFIG: { KEYWORD_POLICY: 'merge' } },
+    });
+    assert.equal(getKeywordPolicy(), 'merge');
+  });
+
+  it('throws for an unknown policy', () => {
+    configureTestEnvironment({
+      baseUrl: 'http://127.0.0.1',
+      overrides: { KEYWORD_POLICY: 'keep' },
+    });
+    assert.throws(() => getKeywordPolicy(), /Unknown KEYWORD_POLICY 'keep'/);
+  });
+});
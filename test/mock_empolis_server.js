@@ -0,0 +1,356 @@
+// Imports
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import logger from '../logger.js';
+import { setConfig } from '../config.js';
+
+/**
+ * Namespace for the local stand-in of the Empolis APIs used by the tests
+ * @namespace mockEmpolisServer
+ */
+
+// Get the directory name of the current module
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Directory of the Empolis response samples the mock server is seeded from
+ * @type {string}
+ * @memberof mockEmpolisServer
+ */
+export const SAMPLES_DIRECTORY = path.join(__dirname, '..', 'schema_samples');
+
+/**
+ * Storage location of the DriveWorks EZ files of the STORE sample (getFileMetadata_sample.txt)
+ * @type {string}
+ * @memberof mockEmpolisServer
+ */
+export const SAMPLE_DATA_SOURCE =
+  'environment/project1_p/documents/1731422888439/D%3A/Empolis-DataSource/Help%20Files/Drives/DriveWorks%20EZ';
+
+/**
+ * Credentials accepted by the token endpoint of the mock server
+ * @type {Object}
+ * @memberof mockEmpolisServer
+ */
+export const TEST_CREDENTIALS = {
+  API_USERNAME: 'test-user',
+  API_PASSWORD: 'test-password',
+  CLIENT_ID: 'test-client',
+  CLIENT_SECRET: 'test-secret',
+};
+
+/**
+ * Read the file metadata of the STORE sample (responses of getFileMetadata())
+ * @function readStoreSamples
+ * @memberof mockEmpolisServer
+ * @returns {Array<Object>} metadata of each sample file
+ */
+export function readStoreSamples() {
+  const content = fs.readFileSync(
+    path.join(SAMPLES_DIRECTORY, 'getFileMetadata_sample.txt'),
+    'utf8'
+  );
+  return content
+    .split(/^statusCode: \d+$/m)
+    .map((response) => response.replace(/^\s*body:/, '').trim())
+    .filter(Boolean)
+    .map((body) => JSON.parse(body));
+}
+
+/**
+ * Start a local HTTP server that stands in for the Empolis APIs, seeded from the samples in schema_samples.
+ * <br>- POST /oauth2/token: 'password' and 'refresh_token' grants with basic authentication of the client
+ * (TEST_CREDENTIALS)
+ * <br>- GET /api/{ingest,ias,store}/&lt;version&gt;/alive
+ * <br>- GET /api/store/&lt;version&gt;/file/&lt;DownloadLink&gt;?metadata: metadata of the STORE sample files
+ * <br>- POST /api/ingest/&lt;version&gt;/metadata/environment/project1_p: replaces the metadata of the file with the
+ * same 'FilePath' (202)
+ * <br>- POST /api/ias/&lt;version&gt;/index/project1_p/search: value filter queries ({ attribute, value }), NLQ
+ * queries ({ nlq }, records containing one of the words, ranked by the share of matching words, with &lt;hit&gt;
+ * highlighting in the Title and abstract) and their combinations ({ and: [...] }, { or: [...] }) on the STORE files and
+ * the index record sample, all records without query, paged with 'offset' and 'maxCount'
+ * <br>- GET /api/ias/&lt;version&gt;/index/project1_p: the index definition sample
+ * <br>API requests require an access token issued by the token endpoint (401 otherwise).
+ * @async
+ * @function startMockEmpolisServer
+ * @memberof mockEmpolisServer
+ * @param {number} [expiresIn=3600] - lifetime of the issued access tokens in seconds ('expires_in')
+ * @param {number} [maxCountLimit=Infinity] - maximum number of records per search request, regardless of 'maxCount'
+ * @returns {Promise<Object>} mock server with 'baseUrl', the STORE 'files' (Map by 'DownloadLink'), the additional
+ * 'indexRecords' of the search, the received 'requests', and functions to inject failures and to close the server
+ */
+export async function startMockEmpolisServer({ expiresIn = 3600, maxCountLimit = Infinity } = {}) {
+  const files = new Map(readStoreSamples().map((metadata) => [metadata.DownloadLink, metadata]));
+  const indexRecords = [
+    JSON.parse(fs.readFileSync(path.join(SAMPLES_DIRECTORY, 'index_record_sample.json'), 'utf8')),
+  ];
+  const indexDefinition = JSON.parse(
+    fs.readFileSync(path.join(SAMPLES_DIRECTORY, 'project1_p_index.json'), 'utf8')
+  );
+  const accessTokens = new Set();
+  const refreshTokens = new Set();
+  const operational = { ingest: true, ias: true, store: true };
+  const requests = [];
+  const failures = [];
+  let tokenCount = 0;
+
+  const issueToken = () => {
+    tokenCount++;
+    const token = { access_token: `access-${tokenCount}`, refresh_token: `refresh-${tokenCount}` };
+    accessTokens.add(token.access_token);
+    refreshTokens.add(token.refresh_token);
+    return { ...token, token_type: 'Bearer', expires_in: expiresIn };
+  };
+
+  const handleToken = (req, body) => {
+    const expectedAuth = `Basic ${Buffer.from(
+      `${TEST_CREDENTIALS.CLIENT_ID}:${TEST_CREDENTIALS.CLIENT_SECRET}`
+    ).toString('base64')}`;
+    if (req.headers.authorization !== expectedAuth) return [401, { error: 'invalid_client' }];
+    const form = new URLSearchParams(body);
+    if (form.get('grant_type') === 'password') {
+      const validUser =
+        form.get('username') === TEST_CREDENTIALS.API_USERNAME &&
+        form.get('password') === TEST_CREDENTIALS.API_PASSWORD;
+      return validUser ? [200, issueToken()] : [400, { error: 'invalid_grant' }];
+    }
+    if (form.get('grant_type') === 'refresh_token') {
+      const refreshToken = form.get('refresh_token');
+      if (!refreshTokens.delete(refreshToken)) return [400, { error: 'invalid_grant' }];
+      return [200, issueToken()];
+    }
+    return [400, { error: 'unsupported_grant_type' }];
+  };
+
+  const handleApi = (req, url, body) => {
+    const token = (req.headers.authorization ?? '').replace(/^Bearer /, '');
+    if (!accessTokens.has(token)) return [401, { error: 'invalid_token' }];
+    const [, service, , ...endpoint] = url.pathname.split('/').slice(1);
+    const endpointPath = endpoint.join('/');
+
+    if (endpointPath === 'alive' && service in operational) {
+      return [200, { operational: operational[service] }];
+    }
+    if (
+      service === 'store' &&
+      endpointPath.startsWith('file/') &&
+      url.searchParams.has('metadata')
+    ) {
+      // The DownloadLink is part of the path, with its encoded characters
+      const downloadLink = url.pathname.split('/file/')[1];
+      return files.has(downloadLink)
+        ? [200, files.get(downloadLink)]
+        : [404, { error: `File ${downloadLink} not found` }];
+    }
+    if (service === 'ingest' && endpointPath === 'metadata/environment/project1_p') {
+      const metadata = JSON.parse(body);
+      const current = [...files.values()].find((file) => file.FilePath === metadata.FilePath);
+      if (!current) return [404, { error: `File ${metadata.FilePath} not found` }];
+      files.set(current.DownloadLink, metadata);
+      return [202, null];
+    }
+    if (service === 'ias' && endpointPath === 'index/project1_p') return [200, indexDefinition];
+    if (service === 'ias' && endpointPath === 'index/project1_p/search') {
+      return [200, search(JSON.parse(body))];
+    }
+    return [404, { error: `No mock for ${req.method} ${url.pathname}` }];
+  };
+
+  // Values of an attribute: localized values by language, taxonomy paths as '\u001F'-separated levels
+  const attributeValues = (record, attribute) =>
+    [record[attribute]]
+      .flat()
+      .flatMap((value) =>
+        value && typeof value === 'object' && !Array.isArray(value) ? Object.values(value) : [value]
+      )
+      .map((value) => (Array.isArray(value) ? value.join('\u001F') : value));
+
+  const nlqWords = (query) =>
+    query?.nlq !== undefined
+      ? String(query.nlq).toLowerCase().split(/\W+/).filter(Boolean)
+      : [...(query?.and ?? []), ...(query?.or ?? [])].flatMap(nlqWords);
+
+  const nlqScore = (record, query) => {
+    const words = nlqWords(query);
+    const attributes = query.attribute ? [query.attribute] : ['Title', 'FileName', 'Content'];
+    const text = attributes
+      .flatMap((attribute) => attributeValues(record, attribute))
+      .join(' ')
+      .toLowerCase();
+    return words.filter((word) => text.includes(word)).length / Math.max(words.length, 1);
+  };
+
+  const matches = (record, query) => {
+    if (query?.and) return query.and.every((condition) => matches(record, condition));
+    if (query?.or) return query.or.some((condition) => matches(record, condition));
+    if (query?.nlq !== undefined) return nlqScore(record, query) > 0;
+    if (query?.attribute) return attributeValues(record, query.attribute).includes(query.value);
+    return true;
+  };
+
+  const highlight = (text, words) =>
+    words.reduce(
+      (highlighted, word) =>
+        highlighted.replace(new RegExp(`(${word})`, 'gi'), (hit) => `<hit>${hit}</hit>`),
+      text
+    );
+
+  const search = ({ query, resultAttributes, offset = 0, maxCount: requestedCount = 10 }) => {
+    const maxCount = Math.min(requestedCount, maxCountLimit);
+    const words = nlqWords(query);
+    const scored = [...files.values(), ...indexRecords]
+      .filter((record) => matches(record, query))
+      .map((record) => ({
+        record,
+        score: words.length > 0 ? nlqScore(record, { nlq: words.join(' ') }) : 1,
+      }))
+      .sort((a, b) => b.score - a.score);
+    const records = scored.slice(offset, offset + maxCount).map(({ record, score }, i) => {
+      const attributes = resultAttributes ?? Object.keys(record);
+      const values = Object.fromEntries(
+        attributes.filter((a) => a in record).map((a) => [a, record[a]])
+      );
+      if (words.length > 0 && typeof values.Title === 'string') {
+        values.Title = highlight(values.Title, words);
+      }
+      return {
+        ...values,
+        ...(words.length > 0 &&
+          record.Content && { abstract: { Content: highlight(record.Content, words) } }),
+        _id: `record-${offset + i}`,
+        _recordid: record.DownloadLink,
+        _score: score,
+      };
+    });
+    const documents = new Set(scored.map(({ record }) => record.DownloadLink)).size;
+    return {
+      count: records.length,
+      numberOfTotalDocuments: documents,
+      numberOfTotalRecords: scored.length,
+      records,
+    };
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ method: req.method, path: url.pathname, search: url.search, body });
+
+      const failureIndex = failures.findIndex(
+        (failure) =>
+          url.pathname.includes(failure.path) && (!failure.method || failure.method === req.method)
+      );
+      let statusCode;
+      let responseBody;
+      if (failureIndex >= 0) {
+        const failure = failures[failureIndex];
+        if (--failure.times === 0) failures.splice(failureIndex, 1);
+        [statusCode, responseBody] = [failure.statusCode, failure.body];
+      } else if (url.pathname === '/oauth2/token' && req.method === 'POST') {
+        [statusCode, responseBody] = handleToken(req, body);
+      } else if (url.pathname.startsWith('/api/')) {
+        [statusCode, responseBody] = handleApi(req, url, body);
+      } else {
+        [statusCode, responseBody] = [404, { error: `No mock for ${req.method} ${url.pathname}` }];
+      }
+      res.writeHead(statusCode, { 'content-type': 'application/json' });
+      res.end(responseBody === null ? '' : JSON.stringify(responseBody));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    files,
+    indexRecords,
+    requests,
+    /**
+     * Number of token requests, optionally of one grant type only ('password' or 'refresh_token')
+     * @param {string} [grantType] - grant type
+     * @returns {number} number of token requests
+     */
+    tokenRequests(grantType = null) {
+      return requests.filter(
+        (request) =>
+          request.path === '/oauth2/token' &&
+          (!grantType || new URLSearchParams(request.body).get('grant_type') === grantType)
+      ).length;
+    },
+    /**
+     * Answer the next requests to a path with an error instead of the mock response
+     * @param {string} path - part of the request path (e.g. '/alive', '/oauth2/token')
+     * @param {string} [method] - HTTP method, all methods if not set
+     * @param {number} [statusCode=500] - status code of the error response
+     * @param {number} [times=1] - number of requests to fail
+     * @param {Object} [body] - body of the error response
+     */
+    failNext({
+      path,
+      method = null,
+      statusCode = 500,
+      times = 1,
+      body = { error: 'mock failure' },
+    }) {
+      failures.push({ path, method, statusCode, times, body });
+    },
+    /**
+     * Reject all access tokens issued so far (e.g. after a restart of the tenant)
+     */
+    revokeTokens() {
+      accessTokens.clear();
+    },
+    /**
+     * Set the status returned by the '/alive' endpoint of a service
+     * @param {string} service - 'ingest', 'ias' or 'store'
+     * @param {boolean} isOperational - operational status
+     */
+    setOperational(service, isOperational) {
+      operational[service] = isOperational;
+    },
+    /**
+     * Stop the server
+     * @returns {Promise<null>}
+     */
+    close() {
+      return new Promise((resolve) => server.close(() => resolve(null)));
+    },
+  };
+}
+
+/**
+ * Configure the application for the mock server: test credentials in the environment, logger without output, and a
+ * configuration with the DriveWorks EZ sample data source.
+ * <br>HTTP requests are retried once without delay, the index schema is read from the sample.
+ * @function configureTestEnvironment
+ * @memberof mockEmpolisServer
+ * @param {string} baseUrl - URL of the mock server
+ * @param {Object} [overrides] - configuration values that replace the defaults
+ * @returns {Object} configuration
+ */
+export function configureTestEnvironment({ baseUrl, overrides = {} }) {
+  Object.assign(process.env, TEST_CREDENTIALS);
+  logger.silent = true;
+  const config = {
+    BASE_URL: baseUrl,
+    API_SCOPE: 'test',
+    INGEST_API_VERSION: 'v1',
+    IAS_API_VERSION: 'v1',
+    STORE_API_VERSION: 'v1',
+    HTTP_RETRIES: 1,
+    HTTP_RETRY_DELAY_MS: 1,
+    CONFIG_PATH: path.join(__dirname, '..', 'config.yaml'),
+    SCHEMA_FILE: './schema_samples/project1_p_index.json',
+    dataSourceSelection: 'DWEZ',
+    DATA_SOURCE: SAMPLE_DATA_SOURCE,
+    SOURCE_CONFIG: { NAME: 'DWEZ', DATA_SOURCE: SAMPLE_DATA_SOURCE },
+    DRY_RUN: false,
+    ...overrides,
+  };
+  setConfig(config);
+  return config;
+}
@@ -0,0 +1,167 @@
+// Imports
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { invalidateToken } from '../empolis_admin.js';
+import {
+  buildSearchQuery,
+  countFacets,
+  parseSearchFilters,
+  searchPage,
+} from '../search_console.js';
+import { configureTestEnvironment, startMockEmpolisServer } from './mock_empolis_server.js';
+
+// Search in all data sources
+const ALL_SOURCES = { dataSourceSelection: null, DATA_SOURCE: null, SOURCE_CONFIG: null };
+
+describe('parseSearchFilters()', () => {
+  it('groups the values by attribute', () => {
+    assert.deepEqual(
+      parseSearchFilters(['product=Motion > Drives', 'language=en', 'Language=de', 'Visibility=3']),
+      { product: ['Motion > Drives'], Language: ['en', 'de'], visibility: ['3'] }
+    );
+  });
+
+  it('rejects invalid filters', () => {
+    assert.throws(() => parseSearchFilters(['Language']), /Invalid filter 'Language'/);
+    assert.throws(() => parseSearchFilters(['Title=Reset']), /Unknown filter 'Title'/);
+  });
+});
+
+describe('buildSearchQuery()', () => {
+  beforeEach(() => {
+    configureTestEnvironment({
+      baseUrl: 'http://127.0.0.1',
+      overrides: { ACCESS_LEVELS: { public: { VISIBILITY_LEVEL: 1 } } },
+    });
+  });
+
+  it('passes the text as natural language query', () => {
+    assert.deepEqual(buildSearchQuery({ text: ' reset ' }), { nlq: 'reset' });
+  });
+
+  it('combines different filters with AND and values of a filter with OR', () => {
+    assert.deepEqual(
+      buildSearchQuery({
+        text: 'reset',
+        filters: { Language: ['en', 'de'], product: ['Product_Motion > Product_Motion_Drives'] },
+        sourceId: '1719926565798',
+      }),
+      {
+        and: [
+          { nlq: 'reset' },
+          {
+            or: [
+              { attribute: 'Language', value: 'en' },
+              { attribute: 'Language', value: 'de' },
+            ],
+          },
+          { attribute: 'product', value: 'Product_Motion\u001FProduct_Motion_Drives' },
+          { attribute: 'Source', value: '1719926565798' },
+        ],
+      }
+    );
+  });
+
+  it('filters the visibility by access level or level number', () => {
+    assert.deepEqual(buildSearchQuery({ filters: { visibility: ['Public'] } }), {
+      attribute: 'ese_VisibilityLevel',
+      value: 1,
+    });
+    assert.deepEqual(buildSearchQuery({ filters: { visibility: ['3'] } }), {
+      attribute: 'ese_VisibilityLevel',
+      value: 3,
+    });
+    assert.throws(
+      () => buildSearchQuery({ filters: { visibility: ['internal'] } }),
+      /Unknown access level 'internal'/
+    );
+  });
+
+  it('requires a text or a filter', () => {
+    assert.throws(() => buildSearchQuery({ text: ' ', sourceId: '1' }), /Enter a search text/);
+  });
+});
+
+describe('searchPage()', () => {
+  let server;
+
+  before(async () => {
+    server = await startMockEmpolisServer();
+  });
+  after(() => server.close());
+  beforeEach(() => {
+    configureTestEnvironment({ baseUrl: server.baseUrl, overrides: ALL_SOURCES });
+    invalidateToken();
+  });
+
+  it('returns the ranked results with score and highlighted abstract', async () => {
+    const results = await searchPage({ text: 'reset' });
+    assert.equal(results.total, 1);
+    assert.equal(results.pageCount, 1);
+    const [record] = results.records;
+    assert.equal(record.FileName, 'sfresetV20.htm');
+    assert.equal(typeof record._score, 'number');
+    assert.match(record.abstract.Content, /<hit>Reset<\/hit>/);
+  });
+
+  it('filters and pages the results', async () => {
+    const filters = { Category: ['DriveWorks EZ Help File'] };
+    const firstPage = await searchPage({ filters, pageSize: 1 });
+    assert.equal(firstPage.total, 2);
+    assert.equal(firstPage.pageCount, 2);
+    const secondPage = await searchPage({ filters, page: 1, pageSize: 1 });
+    assert.equal(secondPage.records.length, 1);
+    assert.notEqual(secondPage.records[0].FileName, firstPage.records[0].FileName);
+  });
+
+  it('searches only the selected data source', async () => {
+    configureTestEnvironment({ baseUrl: server.baseUrl });
+    const results = await searchPage({ text: 'reset' });
+    assert.equal(results.total, 0);
+    assert.deepEqual(results.queryObject.and[1], { attribute: 'Source', value: '1731422888439' });
+  });
+});
+
+describe('countFacets()', () => {
+  let server;
+
+  before(async () => {
+    server = await startMockEmpolisServer();
+  });
+  after(() => server.close());
+  beforeEach(() => {
+    configureTestEnvironment({
+      baseUrl: server.baseUrl,
+      overrides: { ...ALL_SOURCES, SEARCH_PAGE_SIZE: 1 },
+    });
+    invalidateToken();
+  });
+
+  it('counts the values of the results', async () => {
+    const { records, facets } = await countFacets({
+      queryObject: {
+        or: [{ nlq: 'reset' }, { attribute: 'Category', value: 'DriveWorks EZ Help File' }],
+      },
+      attributes: ['Category', 'product'],
+    });
+    assert.equal(records, 3);
+    assert.deepEqual(facets.Category, [
+      { value: 'DriveWorks EZ Help File', count: 2 },
+      { value: 'iCube Engineer Help File', count: 1 },
+    ]);
+    assert.ok(
+      facets.product.some(
+        ({ value, count }) =>
+          value === 'Product_Motion > Product_Motion_Motion Controller' && count === 1
+      )
+    );
+  });
+
+  it('counts at most maxRecords results', async () => {
+    const { records } = await countFacets({
+      queryObject: { attribute: 'Category', value: 'DriveWorks EZ Help File' },
+      maxRecords: 1,
+    });
+    assert.equal(records, 1);
+  });
+});
@@ -0,0 +1,131 @@
+// Imports
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { cleanTitle, isUntitled, normalizeTitle, validateTitleRules } from '../titles.js';
+import { createFileIndex } from '../index_creation.js';
+import { configureTestEnvironment } from './mock_empolis_server.js';
+
+const RULES = {
+  REPLACE: [{ PATTERN: '\\s*\\(V\\d+(\\.\\d+)*\\)$', REPLACEMENT: '' }],
+  STRIP_PREFIXES: ['iCube Engineer - '],
+  STRIP_SUFFIXES: [' | Online Help'],
+  GENERIC_TITLES: ['iCube Engineer Online Help'],
+  MAX_LENGTH: 30,
+  FALLBACKS: ['heading', 'filename'],
+};
+
+describe('cleanTitle()', () => {
+  it('decodes HTML entities and collapses whitespace', () => {
+    assert.equal(
+      cleanTitle('  Drives &amp;amp; Motion&#160;&#x2013;  Help  '),
+      'Drives & Motion – Help'
+    );
+  });
+
+  it('applies the replacements and strips prefixes and suffixes', () => {
+    assert.equal(cleanTitle('iCube Engineer -  SF_Reset (V1.0) | Online Help', RULES), 'SF_Reset');
+  });
+
+  it('cuts long titles at a word boundary', () => {
+    assert.equal(
+      cleanTitle('Configuring the safety functions of the controller', RULES),
+      'Configuring the safety'
+    );
+  });
+});
+
+describe('normalizeTitle()', () => {
+  it('keeps a usable extracted title', () => {
+    assert.deepEqual(
+      normalizeTitle({
+        fields: { title: 'SF_Reset (V2.0)' },
+        filePath: 'sfreset.htm',
+        rules: RULES,
+      }),
+      { title: 'SF_Reset', titleSource: 'extracted' }
+    );
+  });
+
+  it('uses the fallbacks for generic and missing titles', () => {
+    assert.deepEqual(
+      normalizeTitle({
+        fields: { title: 'iCube Engineer Online Help', headings: ['  SF_Reset  '] },
+        filePath: 'sfreset.htm',
+        rules: RULES,
+      }),
+      { title: 'SF_Reset', titleSource: 'heading' }
+    );
+    assert.deepEqual(
+      normalizeTitle({
+        fields: { title: 'Untitled' },
+        filePath: 'dir/sf_reset_v2.htm',
+        rules: RULES,
+      }),
+      { title: 'sf reset v2', titleSource: 'filename' }
+    );
+  });
+
+  it('returns Untitled without fallbacks', () => {
+    assert.deepEqual(normalizeTitle({ fields: { title: ' ' }, filePath: 'a.htm' }), {
+      title: 'Untitled',
+      titleSource: null,
+    });
+    assert.ok(isUntitled('untitled'));
+    assert.ok(!isUntitled('SF_Reset'));
+  });
+});
+
+describe('validateTitleRules()', () => {
+  it('rejects unknown fallbacks and invalid patterns', () => {
+    assert.throws(() => validateTitleRules({ FALLBACKS: ['h1'] }), /Unknown title fallbacks: h1/);
+    assert.throws(
+      () => validateTitleRules({ REPLACE: [{ PATTERN: '(' }] }),
+      /Invalid title REPLACE/
+    );
+    assert.throws(() => validateTitleRules({ MAX_LENGTH: 0 }), /MAX_LENGTH/);
+    assert.equal(validateTitleRules(RULES), null);
+  });
+});
+
+describe('createFileIndex() with title rules', () => {
+  let directory;
+
+  before(async () => {
+    configureTestEnvironment({ baseUrl: 'http://127.0.0.1' });
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'empolis-titles-'));
+    await fs.writeFile(
+      path.join(directory, 'sfreset.htm'),
+      '<html><head><title>iCube Engineer - SF_Reset (V1.0)</title></head><body></body></html>'
+    );
+    await fs.writeFile(
+      path.join(directory, 'generic.htm'),
+      '<html><head><title>iCube Engineer Online Help</title></head>' +
+        '<body><h1>Safety &amp; Reset</h1></body></html>'
+    );
+    await fs.writeFile(path.join(directory, 'empty.htm'), '<html><body></body></html>');
+  });
+  after(() => fs.rm(directory, { recursive: true, force: true }));
+
+  it('stores the normalized titles in the index', async () => {
+    const indexFile = await createFileIndex({
+      directoryPath: directory,
+      fileList: ['sfreset.htm', 'generic.htm', 'empty.htm'],
+      extractorSettings: { TYPE: 'html' },
+      titleRules: { ...RULES, FALLBACKS: ['heading'] },
+    });
+    const entries = JSON.parse(await fs.readFile(indexFile, 'utf8'));
+    const titles = Object.fromEntries(entries.map((entry) => [entry.filename, entry.title]));
+    assert.deepEqual(titles, {
+      'sfreset.htm': 'SF_Reset',
+      'generic.htm': 'Safety & Reset',
+      'empty.htm': 'Untitled',
+    });
+    assert.equal(
+      entries.find((entry) => entry.filename === 'generic.htm').extractedTitle,
+      'iCube Engineer Online Help'
+    );
+  });
+});
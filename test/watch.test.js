@@ -0,0 +1,171 @@
+// Imports
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { invalidateToken } from '../empolis_admin.js';
+import { getIndexFilePath, readIndexFile } from '../index_creation.js';
+import { watchDataSources } from '../watch.js';
+import {
+  configureTestEnvironment,
+  SAMPLE_DATA_SOURCE,
+  startMockEmpolisServer,
+} from './mock_empolis_server.js';
+
+const FILENAME = '0001973746.html';
+
+/**
+ * WebWorks help file with a title and breadcrumbs
+ * @param {string} title - title of the file
+ * @returns {string} HTML content
+ */
+function helpFile(title) {
+  return (
+    `<html><head><title>${title}</title></head><body>` +
+    '<div class="WebWorks_Breadcrumbs">Function Block &gt; Communications</div></body></html>'
+  );
+}
+
+describe('watchDataSources()', { timeout: 20000 }, () => {
+  let server;
+  let directory;
+  let watcher;
+  let batches;
+  let waiting;
+
+  // Resolved with the next processed batch
+  const nextBatch = () => new Promise((resolve) => waiting.push(resolve));
+
+  const startWatcher = async ({ debounceMs = 100 } = {}) => {
+    watcher = await watchDataSources({
+      dataSources: [{ NAME: 'DWEZ', DATA_SOURCE: SAMPLE_DATA_SOURCE, FILE_DIR: directory }],
+      debounceMs,
+      onBatch: (result) => {
+        batches.push(result);
+        waiting.shift()?.(result);
+      },
+    });
+    // Give the watcher time to register the directory
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  };
+
+  beforeEach(async () => {
+    server = await startMockEmpolisServer();
+    configureTestEnvironment({ baseUrl: server.baseUrl });
+    invalidateToken();
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'watch-test-'));
+    batches = [];
+    waiting = [];
+  });
+  afterEach(async () => {
+    await watcher?.close();
+    watcher = null;
+    await server.close();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('processes a burst of changes as one batch', async () => {
+    await startWatcher();
+    const batch = nextBatch();
+    for (const title of ['Draft 1', 'Draft 2', 'WCOL8: Write Communication Logic Register 8']) {
+      await fs.writeFile(path.join(directory, FILENAME), helpFile(title));
+    }
+    const result = await batch;
+    assert.equal(batches.length, 1);
+    assert.deepEqual(result.files, [FILENAME]);
+    assert.deepEqual(result.index.updated, [FILENAME]);
+    assert.equal(result.summary.updated, 1);
+    assert.match(result.runId, /^watch_/);
+
+    const metadata = server.files.get(`${SAMPLE_DATA_SOURCE}/${FILENAME}`);
+    assert.equal(metadata.Title, 'WCOL8: Write Communication Logic Register 8');
+    assert.equal(metadata.Keywords_txt, 'Function Block; Communications');
+    const entries = await readIndexFile(getIndexFilePath(directory));
+    assert.equal(entries.get(FILENAME).title, 'WCOL8: Write Communication Logic Register 8');
+    // The original metadata is saved for a rollback of the batch
+    const snapshots = await fs.readFile(
+      path.join(directory, 'index', 'snapshots', `${result.runId}.jsonl`),
+      'utf8'
+    );
+    assert.match(snapshots, /WCOL8: Write Comm\. Logic Register 8/);
+  });
+
+  it('reports the proposed changes in a dry run', async (t) => {
+    configureTestEnvironment({ baseUrl: server.baseUrl, overrides: { DRY_RUN: true } });
+    const consoleLog = t.mock.method(console, 'log', () => {});
+    await startWatcher();
+    const batch = nextBatch();
+    await fs.writeFile(path.join(directory, FILENAME), helpFile('New Title'));
+    const result = await batch;
+    assert.equal(result.summary.proposed, 1);
+    const output = consoleLog.mock.calls.map((call) => call.arguments.join(' ')).join('\n');
+    assert.match(output, /proposed: .*1/);
+    assert.equal(
+      server.files.get(`${SAMPLE_DATA_SOURCE}/${FILENAME}`).Title,
+      'WCOL8: Write Comm. Logic Register 8'
+    );
+  });
+
+  it('ignores files that do not match the data source filters', async () => {
+    await startWatcher();
+    const batch = nextBatch();
+    await fs.writeFile(path.join(directory, 'notes.txt'), 'Notes');
+    await fs.writeFile(path.join(directory, FILENAME), helpFile('New Title'));
+    const result = await batch;
+    assert.deepEqual(result.files, [FILENAME]);
+  });
+
+  it('does not update a file saved again without changes', async () => {
+    await startWatcher();
+    let batch = nextBatch();
+    await fs.writeFile(path.join(directory, FILENAME), helpFile('New Title'));
+    await batch;
+    const ingestRequests = () =>
+      server.requests.filter((request) => request.path.startsWith('/api/ingest')).length;
+    assert.equal(ingestRequests(), 1);
+
+    batch = nextBatch();
+    await fs.writeFile(path.join(directory, FILENAME), helpFile('New Title'));
+    const result = await batch;
+    assert.deepEqual(result.index.unchanged, [FILENAME]);
+    assert.equal(result.runId, null);
+    assert.equal(ingestRequests(), 1);
+  });
+
+  it('removes deleted files from the index', async () => {
+    await startWatcher();
+    let batch = nextBatch();
+    await fs.writeFile(path.join(directory, FILENAME), helpFile('New Title'));
+    await batch;
+
+    batch = nextBatch();
+    await fs.rm(path.join(directory, FILENAME));
+    const result = await batch;
+    assert.deepEqual(result.index.removed, [FILENAME]);
+    const entries = await readIndexFile(getIndexFilePath(directory));
+    assert.equal(entries.has(FILENAME), false);
+  });
+
+  it('processes the pending changes when it is closed', async () => {
+    await startWatcher({ debounceMs: 60000 });
+    await fs.writeFile(path.join(directory, FILENAME), helpFile('New Title'));
+    // Wait for the change event
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    await watcher.close();
+    watcher = null;
+    assert.equal(batches.length, 1);
+    assert.equal(batches[0].summary.updated, 1);
+  });
+
+  it('throws if a directory cannot be watched', async () => {
+    await assert.rejects(
+      watchDataSources({
+        dataSources: [
+          { NAME: 'DWEZ', DATA_SOURCE: SAMPLE_DATA_SOURCE, FILE_DIR: path.join(directory, 'x') },
+        ],
+      }),
+      /Failed to watch the data source directories/
+    );
+  });
+});
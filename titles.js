@@ -0,0 +1,223 @@
+// Imports
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import logger from './logger.js';
+import { getConfig } from './config.js';
+import { toCsv } from './helpers.js';
+
+/**
+ * Namespace for all elements related to the normalization of the titles extracted from the source files
+ * @namespace titles
+ */
+
+/**
+ * Title of files without usable title, these files are not updated in Empolis
+ * @type {string}
+ * @memberof titles
+ */
+export const UNTITLED = 'Untitled';
+
+/**
+ * Fallbacks for files without usable title
+ * <br>- 'heading': first heading extracted from the file (HEADINGS_SELECTOR, e.g. the first &lt;h1&gt;)
+ * <br>- 'filename': filename without extension
+ * @type {Array<string>}
+ * @memberof titles
+ */
+export const TITLE_FALLBACKS = ['heading', 'filename'];
+
+/**
+ * Named HTML entities decoded in titles
+ * @type {Object}
+ * @memberof titles
+ * @private
+ */
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Columns of the title review list
+ * @type {Array<string>}
+ * @memberof titles
+ * @private
+ */
+const REVIEW_COLUMNS = ['filename', 'extractedTitle', 'headings'];
+
+/**
+ * Check the title rules of a data source before the titles are normalized.
+ * @function validateTitleRules
+ * @memberof titles
+ * @param {Object} [rules] - title rules of the data source (TITLE_RULES)
+ * @returns {null}
+ * @throws {Error} if a fallback is unknown, a REPLACE pattern is not a valid regular expression, or MAX_LENGTH is not
+ * a positive number
+ */
+export function validateTitleRules(rules) {
+  if (!rules) return null;
+  const unknownFallbacks = (rules.FALLBACKS ?? []).filter(
+    (fallback) => !TITLE_FALLBACKS.includes(fallback)
+  );
+  if (unknownFallbacks.length > 0) {
+    throw new Error(
+      `Unknown title fallbacks: ${unknownFallbacks.join(', ')}. Use ${TITLE_FALLBACKS.join(', ')}`
+    );
+  }
+  for (const rule of rules.REPLACE ?? []) {
+    try {
+      new RegExp(rule.PATTERN, rule.FLAGS ?? 'g');
+    } catch (error) {
+      throw new Error(`Invalid title REPLACE pattern '${rule.PATTERN}': ${error.message}`);
+    }
+  }
+  if (rules.MAX_LENGTH !== undefined && !(Number(rules.MAX_LENGTH) > 0)) {
+    throw new Error(`Title MAX_LENGTH must be a positive number, not '${rules.MAX_LENGTH}'`);
+  }
+  return null;
+}
+
+/**
+ * Normalize the title extracted from a source file with the title rules of the data source (TITLE_RULES).
+ * <br>The title is cleaned (see cleanTitle()). If no title remains, or the title is 'Untitled' or one of the
+ * GENERIC_TITLES, the FALLBACKS are tried in their order (see TITLE_FALLBACKS). The fallback values are cleaned the
+ * same way.
+ * @function normalizeTitle
+ * @memberof titles
+ * @param {Object} fields - fields extracted from the file (title, headings, ...)
+ * @param {string} filePath - path of the file
+ * @param {Object} [rules] - title rules of the data source
+ * @returns {Object} normalized 'title' ('Untitled' if no usable title is found), and 'titleSource' ('extracted',
+ * 'heading', 'filename', or null if the file has no usable title)
+ */
+export function normalizeTitle({ fields, filePath, rules = {} }) {
+  const fallbacks = rules.FALLBACKS ?? [];
+  const genericTitles = [UNTITLED, ...(rules.GENERIC_TITLES ?? [])].map((title) =>
+    title.toLowerCase()
+  );
+  const candidates = [
+    ['extracted', fields.title],
+    ...fallbacks.map((fallback) => [
+      fallback,
+      fallback === 'heading'
+        ? fields.headings?.[0]
+        : path.basename(filePath, path.extname(filePath)).replace(/_+/g, ' '),
+    ]),
+  ];
+  for (const [titleSource, candidate] of candidates) {
+    const title = cleanTitle(candidate ?? '', rules);
+    if (title && !genericTitles.includes(title.toLowerCase())) return { title, titleSource };
+  }
+  return { title: UNTITLED, titleSource: null };
+}
+
+/**
+ * Clean a title with the title rules of the data source.
+ * <br>1. HTML entities are decoded (also double encoded entities, e.g. '&amp;amp;').
+ * <br>2. Whitespace runs are collapsed to a single space.
+ * <br>3. The first matching STRIP_PREFIXES and STRIP_SUFFIXES are removed (case-insensitive).
+ * <br>4. The REPLACE rules are applied in their order (regular expression PATTERN, REPLACEMENT with '$1' for capture
+ * groups, FLAGS default 'g').
+ * <br>5. Titles longer than MAX_LENGTH are cut at the last word boundary.
+ * @function cleanTitle
+ * @memberof titles
+ * @param {string} title - title
+ * @param {Object} [rules] - title rules of the data source
+ * @returns {string} cleaned title, empty if nothing remains
+ */
+export function cleanTitle(title, rules = {}) {
+  let cleaned = collapseWhitespace(decodeEntities(String(title)));
+  const prefix = (rules.STRIP_PREFIXES ?? []).find((text) =>
+    cleaned.toLowerCase().startsWith(text.toLowerCase())
+  );
+  if (prefix) cleaned = cleaned.slice(prefix.length);
+  const suffix = (rules.STRIP_SUFFIXES ?? []).find((text) =>
+    cleaned.toLowerCase().endsWith(text.toLowerCase())
+  );
+  if (suffix) cleaned = cleaned.slice(0, cleaned.length - suffix.length);
+  for (const rule of rules.REPLACE ?? []) {
+    cleaned = cleaned.replace(new RegExp(rule.PATTERN, rule.FLAGS ?? 'g'), rule.REPLACEMENT ?? '');
+  }
+  cleaned = collapseWhitespace(cleaned);
+
+  const maxLength = rules.MAX_LENGTH;
+  if (maxLength && cleaned.length > maxLength) {
+    const wordBoundary = cleaned.lastIndexOf(' ', maxLength);
+    cleaned = cleaned
+      .slice(0, wordBoundary > 0 ? wordBoundary : maxLength)
+      .replace(/[\s,;:.\-–]+$/, '');
+  }
+  return cleaned;
+}
+
+/**
+ * Check if a title is missing or 'Untitled'
+ * @function isUntitled
+ * @memberof titles
+ * @param {string} title - title
+ * @returns {boolean} TRUE if the file has no usable title
+ */
+export function isUntitled(title) {
+  return !title?.trim() || title.trim().toLowerCase() === UNTITLED.toLowerCase();
+}
+
+/**
+ * Write the list of files without usable title for manual review to 'index/title_review_&lt;source&gt;_&lt;timestamp&gt;.csv'
+ * next to the index file.
+ * @async
+ * @function writeTitleReview
+ * @memberof titles
+ * @param {Array<Object>} entries - index entries of the files without title
+ * @param {string} indexFile - path of the index file of the data source
+ * @returns {Promise<string>} path of the review list
+ */
+export async function writeTitleReview({ entries, indexFile }) {
+  const config = getConfig();
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const reviewFile = path.join(
+    path.dirname(indexFile),
+    `title_review_${config.dataSourceSelection}_${timestamp}.csv`
+  );
+  const rows = entries.map((entry) => ({
+    filename: entry.filename,
+    extractedTitle: entry.extractedTitle ?? entry.title ?? '',
+    headings: (entry.headings ?? []).slice(0, 3).join('; '),
+  }));
+  await fs.writeFile(reviewFile, toCsv(rows, REVIEW_COLUMNS, config.CSV_DELIMITER ?? ','));
+  logger.info(`${rows.length} files without title listed for review in ${reviewFile}`);
+  return reviewFile;
+}
+
+/**
+ * Decode the HTML entities of a text
+ * @function decodeEntities
+ * @memberof titles
+ * @private
+ * @param {string} text - text
+ * @returns {string} decoded text
+ */
+function decodeEntities(text) {
+  let decoded = text;
+  // Decode double encoded entities ('&amp;amp;') in further passes
+  for (let pass = 0; pass < 3; pass++) {
+    const next = decoded.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name.startsWith('#')) {
+        const codePoint = /^#x/i.test(name) ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+        return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+      }
+      return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+    });
+    if (next === decoded) break;
+    decoded = next;
+  }
+  return decoded;
+}
+
+/**
+ * Collapse whitespace runs (including non-breaking spaces) to a single space and trim the text
+ * @function collapseWhitespace
+ * @memberof titles
+ * @private
+ * @param {string} text - text
+ * @returns {string} text with single spaces
+ */
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
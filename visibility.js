@@ -0,0 +1,106 @@
+// Imports
+import path from 'node:path';
+import { getConfig } from './config.js';
+import { globToRegExp, isInFolder } from './helpers.js';
+import logger from './logger.js';
+
+/**
+ * Namespace for all elements related to the visibility tags of files in Empolis
+ * @namespace visibility
+ */
+
+/**
+ * Determine the access level of a file from the visibility rules configured for its data source.
+ * <br>Overrides are evaluated in the configured order, the first override that matches the file wins.
+ * An override matches if the file is located in the configured 'FOLDER' (relative to the data source directory)
+ * and/or if the filename matches the configured 'PATTERN' (glob). If no override matches, the default
+ * 'ACCESS_LEVEL' of the data source is used.
+ * @function getAccessLevel
+ * @memberof visibility
+ * @param {Object} rules - visibility rules of the data source (see VISIBILITY in DATA_SOURCES in config.yaml)
+ * @param {string} filePath - path of the file relative to the data source directory
+ * @returns {string|null} name of the access level, null if no access level is configured
+ */
+export function getAccessLevel({ rules, filePath }) {
+  if (!rules) return null;
+  const normalizedPath = filePath.split(path.sep).join('/');
+  const filename = path.posix.basename(normalizedPath);
+
+  for (const override of rules.OVERRIDES ?? []) {
+    if (!override.FOLDER && !override.PATTERN) continue;
+    if (override.FOLDER && !isInFolder(normalizedPath, override.FOLDER)) continue;
+    if (override.PATTERN && !globToRegExp(override.PATTERN).test(filename)) continue;
+    return override.ACCESS_LEVEL;
+  }
+  return rules.ACCESS_LEVEL ?? null;
+}
+
+/**
+ * Compute the visibility metadata ('ese_VisibilityLevel' and 'skilllevel') of a file in the selected data source.
+ * @function getVisibilityMetadata
+ * @memberof visibility
+ * @param {string} filePath - path of the file relative to the data source directory
+ * @returns {Object} visibility metadata, empty object if no visibility rules are configured for the data source
+ * @throws {Error} if the access level assigned to the file is not defined in ACCESS_LEVELS
+ */
+export function getVisibilityMetadata({ filePath }) {
+  const config = getConfig();
+  const rules = config.SOURCE_CONFIG?.VISIBILITY;
+  const accessLevel = getAccessLevel({ rules, filePath });
+  if (!accessLevel) return {};
+
+  const levelDefinition = config.ACCESS_LEVELS?.[accessLevel];
+  if (!levelDefinition) {
+    throw new Error(`Access level '${accessLevel}' is not defined in ACCESS_LEVELS`);
+  }
+  logger.debug(`Access level '${accessLevel}' assigned to ${filePath}`);
+  return {
+    ese_VisibilityLevel: Number(levelDefinition.VISIBILITY_LEVEL),
+    skilllevel: levelDefinition.SKILLLEVEL ?? [],
+  };
+}
+
+/**
+ * Check if the current metadata of a file already contains the computed visibility metadata.
+ * <br>'skilllevel' values are compared as sets, ignoring order and case.
+ * @function visibilityMatches
+ * @memberof visibility
+ * @param {Object} fileMetadata - current metadata of the file
+ * @param {Object} visibilityMetadata - computed visibility metadata (see getVisibilityMetadata())
+ * @returns {boolean} TRUE if the metadata does not need to be updated
+ */
+export function visibilityMatches({ fileMetadata, visibilityMetadata }) {
+  if (
+    'ese_VisibilityLevel' in visibilityMetadata &&
+    Number(fileMetadata.ese_VisibilityLevel) !== visibilityMetadata.ese_VisibilityLevel
+  ) {
+    return false;
+  }
+  if ('skilllevel' in visibilityMetadata) {
+    const current = skillLevelValues(fileMetadata.skilllevel);
+    const expected = skillLevelValues(visibilityMetadata.skilllevel);
+    if (current.size !== expected.size) return false;
+    for (const value of expected) {
+      if (!current.has(value)) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Get the comparable values of a 'skilllevel' attribute (plain strings or localized value objects)
+ * @function skillLevelValues
+ * @memberof visibility
+ * @private
+ * @param {Array|Object|string} skilllevel - 'skilllevel' attribute value
+ * @returns {Set<string>} lower case values
+ */
+function skillLevelValues(skilllevel) {
+  if (skilllevel === undefined || skilllevel === null) return new Set();
+  const values = Array.isArray(skilllevel) ? skilllevel : [skilllevel];
+  return new Set(
+    values.map((value) =>
+      String(typeof value === 'object' ? (value.value ?? value.en) : value).toLowerCase()
+    )
+  );
+}
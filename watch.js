@@ -0,0 +1,201 @@
+// Imports
+import fs from 'node:fs';
+import path from 'node:path';
+import chalk from 'chalk';
+import logger from './logger.js';
+import { applyDataSource, getConfig, runWithConfig } from './config.js';
+import { createFileFilter } from './helpers.js';
+import { updateIndexEntries } from './index_creation.js';
+import { processFile } from './empolis_ops.js';
+import { getKeywordPolicy } from './keywords.js';
+import { prepareLocalization } from './localization.js';
+import { validateTaxonomyMappings } from './taxonomy.js';
+import { openSnapshotStore } from './snapshots.js';
+import { configureRateLimit, runWorkerPool } from './pipeline.js';
+
+/**
+ * Namespace for all elements related to watching the data source directories for changed files
+ * @namespace watch
+ */
+
+/**
+ * Default time without further changes before the changed files of a data source are processed
+ * @type {number}
+ * @memberof watch
+ * @private
+ */
+const DEFAULT_DEBOUNCE_MS = 2000;
+
+/**
+ * Watch the directories of data sources and update the metadata of changed files in Empolis.
+ * <br>Changes are collected per data source until no further change occurs for WATCH_DEBOUNCE_MS, so that a burst of
+ * changes (e.g. a new build of the help files) is processed as one batch. Only files matching the FILE_TYPES, INCLUDE
+ * and EXCLUDE settings of the data source are considered, the 'index' folder is ignored. Changes of the German variant
+ * (LOCALIZATION.DE_DIR) update the file with the same relative path.
+ * <br>The batches are processed one at a time: the index entries of the changed files are extracted again (see
+ * updateIndexEntries()), and the metadata of the new and changed files is updated with processFile(). The original
+ * metadata is saved in the snapshots of a 'watch_&lt;timestamp&gt;' run per batch, so that a batch can be rolled back.
+ * Deleted files are only removed from the index.
+ * @async
+ * @function watchDataSources
+ * @memberof watch
+ * @param {Array<Object>} dataSources - data source definitions to watch (see getDataSources())
+ * @param {number} [debounceMs] - time without changes before a batch is processed (default: WATCH_DEBOUNCE_MS, 2000)
+ * @param {Function} [onBatch] - function called with the result ({ dataSource, runId, files, index, summary }) of
+ * each processed batch
+ * @returns {Promise<Object>} watcher with 'close()' (processes the pending changes and stops watching) and 'closed'
+ * (promise resolved when the watcher is closed)
+ * @throws {Error} if a directory cannot be watched
+ * @requires fs.watch
+ * @requires updateIndexEntries
+ * @requires processFile
+ * @requires logger
+ */
+export async function watchDataSources({ dataSources, debounceMs = null, onBatch = null }) {
+  const baseConfig = getConfig();
+  const delay = debounceMs ?? baseConfig.WATCH_DEBOUNCE_MS ?? DEFAULT_DEBOUNCE_MS;
+  const watchers = [];
+  const pending = new Map();
+  let queue = Promise.resolve();
+  let resolveClosed;
+  const closed = new Promise((resolve) => (resolveClosed = resolve));
+
+  const flush = (dataSource) => {
+    const changes = pending.get(dataSource.NAME);
+    clearTimeout(changes.timer);
+    changes.timer = null;
+    if (changes.files.size === 0) return;
+    const files = [...changes.files].sort();
+    changes.files.clear();
+    queue = queue
+      .then(() =>
+        runWithConfig(applyDataSource({ ...baseConfig }, dataSource), () =>
+          processBatch({ dataSource, files })
+        )
+      )
+      .then((result) => onBatch?.(result))
+      .catch((error) => {
+        logger.error(`Failed to process the changes of '${dataSource.NAME}':\n${error}`);
+        console.log(
+          `${chalk.red('X')} Failed to process the changes of '${dataSource.NAME}': ${error.message}`
+        );
+      });
+  };
+
+  try {
+    for (const dataSource of dataSources) {
+      const sourceConfig = applyDataSource({ ...baseConfig }, dataSource);
+      const fileFilter = createFileFilter(sourceConfig.FILE_TYPES, {
+        include: dataSource.INCLUDE,
+        exclude: dataSource.EXCLUDE,
+      });
+      const changes = { files: new Set(), timer: null };
+      pending.set(dataSource.NAME, changes);
+
+      const directories = [dataSource.FILE_DIR, dataSource.LOCALIZATION?.DE_DIR].filter(Boolean);
+      for (const directory of directories) {
+        const watcher = fs.watch(directory, { recursive: true }, (eventType, filename) => {
+          if (!filename) return;
+          const relativePath = filename.split(path.sep).join('/');
+          if (!fileFilter.matchesFile(relativePath)) return;
+          logger.debug(`Watch '${dataSource.NAME}': ${eventType} ${relativePath}`);
+          changes.files.add(relativePath);
+          clearTimeout(changes.timer);
+          changes.timer = setTimeout(() => flush(dataSource), delay);
+        });
+        watcher.on('error', (error) => {
+          logger.error(`Watcher of '${directory}' failed:\n${error}`);
+        });
+        watchers.push(watcher);
+        logger.info(`Watching '${directory}' for changes of data source '${dataSource.NAME}'`);
+      }
+    }
+  } catch (error) {
+    watchers.forEach((watcher) => watcher.close());
+    logger.error(`watchDataSources() Error:\n${error}`);
+    throw new Error(`Failed to watch the data source directories: ${error.message}`);
+  }
+
+  return {
+    closed,
+    /**
+     * Stop watching, after the pending changes are processed
+     * @returns {Promise<null>}
+     */
+    async close() {
+      watchers.forEach((watcher) => watcher.close());
+      for (const dataSource of dataSources) flush(dataSource);
+      await queue;
+      logger.info(`Stopped watching ${dataSources.length} data sources`);
+      resolveClosed(null);
+      return null;
+    },
+  };
+}
+
+/**
+ * Process the changed files of a data source: update their index entries and their metadata in Empolis
+ * <br>Runs with the configuration of the data source (see runWithConfig()).
+ * @async
+ * @function processBatch
+ * @memberof watch
+ * @private
+ * @param {Object} dataSource - data source definition
+ * @param {Array<string>} files - changed files, relative to the data source directory
+ * @returns {Promise<Object>} data source name, runId (null if no file was processed), files, index update and summary
+ * of the metadata updates
+ */
+async function processBatch({ dataSource, files }) {
+  const config = getConfig();
+  logger.info(`${files.length} changed files in '${dataSource.NAME}': ${files.join(', ')}`);
+  const { indexFile, entries, ...index } = await updateIndexEntries({
+    directoryPath: config.FILE_DIR,
+    files,
+    extractorSettings: dataSource.EXTRACTOR,
+    titleRules: dataSource.TITLE_RULES,
+    germanDirectory: dataSource.LOCALIZATION?.DE_DIR,
+  });
+  const summary = { updated: 0, proposed: 0, skipped: 0, blocked: 0, ambiguous: 0, failed: 0 };
+  let runId = null;
+
+  if (index.updated.length > 0) {
+    await validateTaxonomyMappings();
+    getKeywordPolicy();
+    const localization = await prepareLocalization();
+    runId = `watch_${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    const snapshots = config.DRY_RUN ? null : await openSnapshotStore({ indexFile, runId });
+    configureRateLimit(config.REQUESTS_PER_SECOND);
+    await runWorkerPool({
+      items: index.updated,
+      concurrency: config.UPDATE_CONCURRENCY,
+      worker: async (file) => {
+        try {
+          return await processFile({ dataObject: entries.get(file), snapshots, localization });
+        } catch (error) {
+          logger.error(`Failed to process ${file}:\n${error}`);
+          return 'failed';
+        }
+      },
+      onResult: ({ item, value }) => {
+        summary[value]++;
+        logger.info(`Watch '${dataSource.NAME}' ${item}: ${value}`);
+      },
+    });
+  }
+
+  const changedLabel = config.DRY_RUN ? 'proposed' : 'updated';
+  console.log(
+    `${summary.failed || summary.ambiguous || index.failed.length ? chalk.red('X') : chalk.green('√')}` +
+      ` ${chalk.cyan(files.length)} changed files in '${dataSource.NAME}'` +
+      ` (${changedLabel}: ${chalk.cyan(summary[changedLabel])}, skipped: ${chalk.cyan(summary.skipped + index.unchanged.length)},` +
+      ` removed from index: ${chalk.cyan(index.removed.length)}, no title: ${chalk.cyan(summary.blocked)},` +
+      ` ambiguous: ${chalk.cyan(summary.ambiguous)}, failed: ${chalk.cyan(summary.failed + index.failed.length)})`
+  );
+  logger.info(
+    `Processed ${files.length} changed files in '${dataSource.NAME}'${runId ? ` (run ${runId})` : ''}:` +
+      ` ${changedLabel}: ${summary[changedLabel]}, skipped: ${summary.skipped}, unchanged: ${index.unchanged.length},` +
+      ` removed from index: ${index.removed.length}, no title: ${summary.blocked},` +
+      ` ambiguous: ${summary.ambiguous}, failed: ${summary.failed + index.failed.length}`
+  );
+  return { dataSource: dataSource.NAME, runId, files, index, summary };
+}